@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+const path = require('path');
+const mongoose = require('mongoose');
+const { auditSubRefs, repairSubRefs, finalizeSubRefs } = require('..');
+
+const usage = `Usage: subref-integrity <audit|repair> --uri <uri> --models <file> [options]
+
+Options:
+  --uri <uri>          MongoDB connection string
+  --db-name <name>     Database to use, if not in the connection string
+  --models <file>      Module which registers the models through consistentModel (repeatable),
+                       it can export the connection of the models (module.exports.connection)
+  --only <names>       Comma separated names of the child models to scan (all by default)
+  --batch-size <n>     Number of children checked with a single query
+  --dry-run            Only plan the repair, nothing is written
+  --json               Print the result as JSON
+
+Exit codes: 0 no dangling sub refs, 1 dangling sub refs found (or left for review), 2 error`;
+
+// Parse the arguments of the command line
+function parseArgs(args) {
+  const options = { models: [] };
+  const flags = { '--dry-run': 'dryRun', '--json': 'json' };
+  const values = {
+    '--uri': 'uri',
+    '--db-name': 'dbName',
+    '--models': 'models',
+    '--only': 'only',
+    '--batch-size': 'batchSize',
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const [arg, inlineValue] = args[i].split(/=(.*)/);
+
+    if (flags[arg]) options[flags[arg]] = true;
+    else if (values[arg]) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined) throw new Error(`Missing value for ${arg}`);
+
+      if (arg === '--models') options.models.push(...value.split(','));
+      else options[values[arg]] = value;
+    } else if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+    else if (!options.command) options.command = arg;
+    else throw new Error(`Unexpected argument ${arg}`);
+  }
+
+  if (!['audit', 'repair'].includes(options.command))
+    throw new Error('The command must be audit or repair');
+  if (!options.uri) throw new Error('Missing --uri');
+  if (!options.models.length) throw new Error('Missing --models');
+  if (options.batchSize !== undefined) {
+    options.batchSize = Number(options.batchSize);
+    if (!(options.batchSize > 0)) throw new Error('--batch-size must be a positive number');
+  }
+  if (options.only) options.only = options.only.split(',');
+
+  return options;
+}
+
+// Format rows as a plain text table
+function formatTable(columns, rows) {
+  const widths = columns.map((column) =>
+    Math.max(column.length, ...rows.map((row) => String(row[column]).length))
+  );
+  const format = (values) =>
+    values
+      .map((value, i) => String(value).padEnd(widths[i]))
+      .join('  ')
+      .trimEnd();
+
+  return [
+    format(columns),
+    format(widths.map((width) => '-'.repeat(width))),
+    ...rows.map((row) => format(columns.map((column) => row[column]))),
+  ].join('\n');
+}
+
+function printReport(report) {
+  console.log(
+    formatTable(
+      ['modelRef', 'pathRef', 'modelSubRef', 'pathSubRef', 'checked', 'dangling'],
+      report.relationships
+    )
+  );
+
+  if (report.orphans.length) {
+    console.log('\nDangling sub references:');
+    console.log(formatTable(['modelRef', '_id', 'path', 'value', 'reason'], report.orphans));
+  }
+
+  console.log(`\nChecked ${report.checked} sub refs, ${report.dangling} dangling.`);
+}
+
+function printRepair({ dryRun, operations, review }) {
+  if (operations.length) {
+    console.log(dryRun ? '\nOperations to run:' : '\nOperations:');
+    console.log(
+      formatTable(
+        ['type', 'modelRef', '_id', 'pathRef', 'status'],
+        operations.map((operation) => ({
+          ...operation,
+          pathRef: operation.pathRef || '',
+          status: operation.done ? 'done' : operation.error ? 'failed' : 'planned',
+        }))
+      )
+    );
+  }
+
+  if (review.length) {
+    console.log('\nLeft for review:');
+    console.log(formatTable(['modelRef', '_id', 'path', 'value', 'reason'], review));
+  }
+}
+
+// Connection exported by the models modules (registered with the connection option), if any
+function getModelsConnection(modules) {
+  const connections = modules
+    .map((exported) => exported && exported.connection)
+    .filter((connection, i, all) => connection && all.indexOf(connection) === i);
+
+  if (connections.length > 1) throw new Error('The --models modules export different connections');
+
+  // A mongoose instance stands for its default connection
+  const [connection] = connections;
+  return connection && connection.connections ? connection.connection : connection;
+}
+
+async function run(options) {
+  const connection = getModelsConnection(
+    options.models.map((models) => require(path.resolve(process.cwd(), models)))
+  );
+  // Every sub ref must be directed to a registered model
+  finalizeSubRefs(connection);
+
+  const connectOptions = {
+    dbName: options.dbName,
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  };
+
+  // The connection of the models could be already open
+  if (!connection) await mongoose.connect(options.uri, connectOptions);
+  else if (connection.readyState === 0) await connection.openUri(options.uri, connectOptions);
+
+  try {
+    const scanOptions = { models: options.only, batchSize: options.batchSize, connection };
+
+    if (options.command === 'audit') {
+      const report = await auditSubRefs(scanOptions);
+
+      if (options.json) console.log(JSON.stringify(report, null, 2));
+      else printReport(report);
+
+      return report.dangling ? 1 : 0;
+    }
+
+    const result = await repairSubRefs({ ...scanOptions, dryRun: !!options.dryRun });
+
+    if (options.json)
+      console.log(
+        JSON.stringify(
+          {
+            ...result,
+            operations: result.operations.map(({ error, ...operation }) =>
+              error ? { ...operation, error: error.message } : operation
+            ),
+          },
+          null,
+          2
+        )
+      );
+    else {
+      printReport(result.report);
+      printRepair(result);
+    }
+
+    // Something is still dangling
+    return result.review.length || result.operations.some((operation) => !operation.done) ? 1 : 0;
+  } finally {
+    if (connection) await connection.close();
+    else await mongoose.disconnect();
+  }
+}
+
+let options;
+
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (e) {
+  console.error(`${e.message}\n\n${usage}`);
+  process.exit(2);
+}
+
+run(options).then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(e);
+    process.exit(2);
+  }
+);
@@ -1,7 +1,52 @@
+// Machine readable code of every constraint error
+const code = 'SUB_REF_CONSTRAINT';
+
+// Describe a blocking relationship, with the count and the (capped) ids of the blocking children
+function describeBlocking({ modelSubRef, pathSubRef, modelRef, pathRef, count, ids }) {
+  const more = count > ids.length ? ', ...' : '';
+
+  return `${modelRef} --> ${pathRef} references ${modelSubRef} --> ${pathSubRef} (${count} ${
+    count === 1 ? 'document' : 'documents'
+  }: ${ids.join(', ')}${more})`;
+}
+
+function getMessage({
+  modelSubRef,
+  pathSubRef,
+  modelRef,
+  pathRef,
+  whoIsBlocking,
+  blocking,
+  restoring,
+  missingValues,
+} = {}) {
+  // A missing sub document blocks the restore of the child
+  if (restoring && missingValues)
+    return `Can't restore the document of ${modelRef}, its sub ref ${modelRef} --> ${pathRef} is directed to missing sub documents of ${modelSubRef} --> ${pathSubRef}: ${missingValues.join(
+      ', '
+    )}`;
+
+  // A soft deleted root document blocks the restore of the child
+  if (restoring)
+    return `Can't restore the document of ${modelRef}, its sub ref ${modelRef} --> ${pathRef} is directed to ${modelSubRef} --> ${pathSubRef} of a soft deleted document (constrained by document: ${whoIsBlocking})`;
+
+  // Every blocking relationship has been collected
+  if (blocking)
+    return `Can't delete the sub documents, they are still referenced by: ${blocking
+      .map(describeBlocking)
+      .join('; ')}`;
+
+  // Created without the details of the relationship
+  if (!modelSubRef) return "Can't delete the sub documents, they are still referenced";
+
+  return `Can't delete the sub documents of ${modelSubRef} --> ${pathSubRef}, they are still referenced by ${modelRef} --> ${pathRef} (constrained by document: ${whoIsBlocking})`;
+}
+
 module.exports = class SubRefConstraintError extends Error {
-    constructor(options) {
-      super();
-      this.options = options;
-    }
-  };
-  
\ No newline at end of file
+  constructor(options) {
+    super(getMessage(options));
+    this.name = 'SubRefConstraintError';
+    this.code = code;
+    this.options = options;
+  }
+};
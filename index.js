@@ -1,31 +1,561 @@
-const mongoose = require.main.require('mongoose');
+// Default mongoose instance, used when a connection is not given
+const mongoose = require('mongoose');
 
+const sift = require('sift').default;
 const oldValuesPlugin = require('mongoose-old-values');
 const SubRefConstraintError = require('./error');
 
-const refs = {};
+// Registries of the relationships for every connection given to the plugin,
+// the models registered without a connection share the default registry of the default connection
+const registries = new WeakMap();
+const defaultRegistry = createRegistry();
+registries.set(mongoose.connection, defaultRegistry);
+// Schemas on which the plugin has been applied
+const registeredSchemas = new WeakSet();
+// Paths of the parent models on which the validator of the removed values has been set
+const validatedSubRefPaths = new WeakSet();
+
+// Query operations which delete at most one document
+const singleDeleteOperations = ['deleteOne', 'findOneAndDelete', 'findOneAndRemove'];
+const deleteOperations = [...singleDeleteOperations, 'deleteMany', 'remove'];
+
+// Query operations which update at most one document
+const singleUpdateOperations = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const replaceOperations = ['replaceOne', 'findOneAndReplace'];
+const updateOperations = [...singleUpdateOperations, 'updateMany', 'update'];
+
+// Query operations which can exclude the children with sub refs to soft deleted root documents
+const liveSubRefsOperations = ['find', 'findOne', 'count', 'countDocuments'];
+
+// Document operations which can be wrapped in a transaction
+const documentOperations = ['save', 'remove', 'deleteOne'];
+
+function createRegistry() {
+  return {
+    // Relationships by the name of the parent model: [{ modelName (child), path (child), schemaType }]
+    refs: {},
+    // Models on which the plugin has been applied
+    models: new Set(),
+    // Schemas and options of the plugin by the name of the model
+    schemas: {},
+    options: {},
+    // Relationships whose parent model isn't registered yet: [{ modelName (child), path (child), subRefModel, wire }]
+    pending: [],
+    // Validators of the values removed from the parent models, by the name of the parent model and the sub referenced path
+    validators: {},
+  };
+}
+
+// A mongoose instance stands for its default connection
+function getConnection(connection) {
+  return connection && connection.connections ? connection.connection : connection;
+}
+
+function getRegistry(db) {
+  return registries.get(db || mongoose.connection) || defaultRegistry;
+}
+
+// Schema of a model already compiled on the connection (which can be a clone of the registered one),
+// or of a model registered through the plugin and not compiled yet
+function getRegisteredSchema(db, modelName) {
+  const { schemas } = getRegistry(db);
+  if (db && db.modelNames().includes(modelName)) return db.model(modelName).schema;
+  return schemas[modelName] || null;
+}
+
+// Validate the values removed from a path of a parent model through the validators of its children,
+// which are read when validating: the children registered later don't change the schema of the parent
+function setRemovedValuesValidator(registry, modelName, path, schemaType) {
+  if (validatedSubRefPaths.has(schemaType)) return;
+  validatedSubRefPaths.add(schemaType);
+
+  schemaType.validate({
+    validator: async function (newValues) {
+      for (let validator of (registry.validators[modelName] || {})[path] || [])
+        await validator.call(this, newValues);
+      return true;
+    },
+    type: 'subRefConstraint',
+    ErrorConstructor: SubRefValidatorError,
+  });
+}
+
+// Validation error of a sub document removed while still referenced, with the details of the constraint
+class SubRefValidatorError extends mongoose.Error.ValidatorError {
+  constructor(properties) {
+    super(properties);
+
+    // Any other error thrown by the validator
+    if (!(properties.reason instanceof SubRefConstraintError)) return;
+
+    this.code = properties.reason.code;
+    this.options = properties.reason.options;
+    this.referencedValues = properties.reason.referencedValues;
+  }
+}
+
+// Connection of the model of a document (of the root document, for a sub document)
+function getDocumentDb(document) {
+  return (document.ownerDocument ? document.ownerDocument() : document).db;
+}
 
 // Return model name of the subRef
 function getRootRef(subRef) {
   return subRef.split('.')[0];
 }
 
-function getReferencedValues(pathSubRef, referencedDocument) {
-  // referenced ids or exact values
-  return referencedDocument.get(pathSubRef).map((d) => d._id || d);
+// Field of the sub documents referenced by the children (subRefKey option), _id by default
+function getSubRefKey(schemaType) {
+  return (schemaType.options && schemaType.options.subRefKey) || '_id';
 }
 
-function getFindQueryObjectFor(modelRef, pathRef, referencedValues, boundRefValue) {
-  return boundRefValue
-    ? { _id: boundRefValue }
-    : {
-        [pathRef]: { $in: referencedValues },
-      };
+// Sub document (also as plain object, e.g. in an update query), not a primitive value or an ObjectId
+function isSubDocument(value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    (value instanceof mongoose.Document || Object.getPrototypeOf(value) === Object.prototype)
+  );
+}
+
+// The key of a sub document, or the exact value of a primitive
+function getKeyValue(value, key = '_id') {
+  if (!isSubDocument(value)) return value;
+
+  return value instanceof mongoose.Document ? value.get(key) : getValueAtPath(value, key);
+}
+
+function getReferencedValues(pathSubRef, referencedDocument, key = '_id') {
+  // referenced keys or exact values
+  return referencedDocument.get(pathSubRef).map((d) => getKeyValue(d, key));
+}
+
+// Is the same sub document (by key) or the same primitive value ?
+function isSameValue(o, n, key = '_id') {
+  if (o === null || o === undefined || n === null || n === undefined) return o === n;
+
+  // Array of subdocuments
+  if (isSubDocument(o) || isSubDocument(n))
+    return isSameValue(getKeyValue(o, key), getKeyValue(n, key));
+
+  // Array of primitives
+  return o.equals ? o.equals(n) : o === n;
+}
+
+// Old values which are not anymore in the new values
+function getRemovedValues(oldValues, newValues, key = '_id') {
+  return oldValues.filter((o) => !newValues.some((n) => isSameValue(o, n, key)));
+}
+
+// A sub ref is required unless it's overwritten on the schemaType itself (e.g. schema.path('contact').required = false)
+function isRequired(schemaType) {
+  return !!schemaType.required;
+}
+
+function isCascade(schemaType) {
+  return !!(schemaType.cascade || (schemaType.options && schemaType.options.cascade));
+}
+
+// Actions which can be set with the onDelete option (or a function)
+const onDeleteActions = ['restrict', 'cascade', 'setNull', 'setDefault', 'noAction'];
+
+// What to do on the children when the referenced sub documents are deleted
+function getOnDelete(schemaType) {
+  const onDelete = schemaType.onDelete || (schemaType.options && schemaType.options.onDelete);
+  if (onDelete) return onDelete;
+
+  // Inferred from required and cascade
+  return isRequired(schemaType) ? (isCascade(schemaType) ? 'cascade' : 'restrict') : 'setNull';
+}
+
+function checkOnDelete(modelName, path, schemaType) {
+  const onDelete = getOnDelete(schemaType);
+
+  if (typeof onDelete !== 'function' && !onDeleteActions.includes(onDelete))
+    throw new Error(
+      `Invalid onDelete option "${onDelete}" on ${modelName}.${path}, it must be a function or one of: ${onDeleteActions.join(
+        ', '
+      )}`
+    );
+}
+
+const onSoftDeleteActions = ['noAction', 'setNull'];
+
+// What happens to a sub ref when the parent is soft deleted
+function getOnSoftDelete(schemaType) {
+  return (schemaType.options && schemaType.options.onSoftDelete) || 'noAction';
+}
+
+function checkOnSoftDelete(modelName, path, schemaType) {
+  const onSoftDelete = getOnSoftDelete(schemaType);
+
+  if (!onSoftDeleteActions.includes(onSoftDelete))
+    throw new Error(
+      `Invalid onSoftDelete option "${onSoftDelete}" on ${modelName}.${path}, it must be one of: ${onSoftDeleteActions.join(
+        ', '
+      )}`
+    );
+
+  // The unset sub refs aren't validated, a required sub ref would be left invalid
+  if (onSoftDelete === 'setNull' && isRequired(schemaType) && schemaType.isRequired !== false)
+    throw new Error(
+      `Invalid onSoftDelete option "setNull" on ${modelName}.${path}, the sub ref is required (declare it with required: false, or set required = false on its schemaType)`
+    );
+}
+
+const onUpdateActions = ['noAction', 'cascade'];
+
+// What happens to a sub ref when the referenced value is changed in place (arrays of primitives)
+function getOnUpdate(schemaType) {
+  return (schemaType.options && schemaType.options.onUpdate) || 'noAction';
+}
+
+function checkOnUpdate(modelName, path, schemaType) {
+  const onUpdate = getOnUpdate(schemaType);
+
+  if (!onUpdateActions.includes(onUpdate))
+    throw new Error(
+      `Invalid onUpdate option "${onUpdate}" on ${modelName}.${path}, it must be one of: ${onUpdateActions.join(
+        ', '
+      )}`
+    );
+}
+
+/**
+ * Values of an array of primitives renamed explicitly ([{ from, to }]) or changed in place (same position),
+ * for which the old value has been removed and the new one has been added
+ */
+function getRenamedValues(oldValues, newValues, renames = []) {
+  const removedValues = getRemovedValues(oldValues, newValues);
+  const addedValues = getRemovedValues(newValues, oldValues);
+  const isRemoved = (value) => removedValues.some((r) => isSameValue(r, value));
+  const isAdded = (value) => addedValues.some((a) => isSameValue(a, value));
+
+  const renamedValues = renames.filter(({ from, to }) => isRemoved(from) && isAdded(to));
+
+  // Without an explicit rename, a value is renamed only if it's the only one changed, at the same position
+  // (with more changes, the values deleted and the ones added can't be told apart from renames)
+  if (
+    renamedValues.length === 0 &&
+    oldValues.length === newValues.length &&
+    removedValues.length === 1 &&
+    addedValues.length === 1
+  ) {
+    const [from] = removedValues;
+    const [to] = addedValues;
+    const i = oldValues.findIndex((o) => isSameValue(o, from));
+
+    if (!isSubDocument(from) && !isSubDocument(to) && isSameValue(newValues[i], to))
+      renamedValues.push({ from, to });
+  }
+
+  return renamedValues;
+}
+
+function getValueAtPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), object);
+}
+
+/**
+ * Like getValueAtPath, but go through the arrays met along the path and return every value found,
+ * with its absolute path including the positions in the arrays (e.g. items.2.contact)
+ */
+function getValuesWithPaths(object, path, absolutePath = '') {
+  const join = (key) => (absolutePath ? absolutePath + '.' + key : String(key));
+
+  if (object instanceof Array)
+    return object.reduce(
+      (values, item, i) => [...values, ...getValuesWithPaths(item, path, join(i))],
+      []
+    );
+  if (!path)
+    return object === null || object === undefined ? [] : [{ path: absolutePath, value: object }];
+  if (object === null || typeof object !== 'object') return [];
+
+  const [key, ...rest] = path.split('.');
+  return getValuesWithPaths(object[key], rest.join('.'), join(key));
+}
+
+function getValuesAtPath(object, path) {
+  return getValuesWithPaths(object, path).map(({ value }) => value);
+}
+
+// Remove the positional segments from an update path (e.g. items.$.contact --> items.contact)
+function getUnpositionedPath(path) {
+  return path
+    .split('.')
+    .filter((key) => !/^(\d+|\$|\$\[.*\])$/.test(key))
+    .join('.');
+}
+
+/**
+ * Return the values that an update query assigns to a path.
+ * Values of arrays are flattened, null values are excluded.
+ */
+function getAssignedValues(path, update, replacement) {
+  if (replacement) return getValuesAtPath(update, path);
+
+  let values = [];
+
+  for (let operator in update) {
+    // Fields without operator are the same of $set
+    const fields = operator.startsWith('$') ? update[operator] : { [operator]: update[operator] };
+    if (!operator.startsWith('$')) operator = '$set';
+
+    for (let field in fields) {
+      const unpositionedField = getUnpositionedPath(field);
+      let value = fields[field];
+
+      if (!['$set', '$setOnInsert', '$push', '$addToSet'].includes(operator)) continue;
+      // Pushed elements
+      if (['$push', '$addToSet'].includes(operator) && value && value.$each) value = value.$each;
+
+      if (unpositionedField === path) values = [...values, ...getValuesAtPath(value, '')];
+      else if (path.startsWith(unpositionedField + '.'))
+        values = [...values, ...getValuesAtPath(value, path.substr(unpositionedField.length + 1))];
+    }
+  }
+
+  return values;
+}
+
+// Return the field to match for finding the values of a sub referenced array
+function getSubRefValueField(db, modelSubRef, pathSubRef, key = '_id') {
+  return db.model(modelSubRef).schema.path(pathSubRef).constructor.name === 'DocumentArrayPath'
+    ? // Array of subdocuments
+      pathSubRef + '.' + key
+    : // Array of primitives
+      pathSubRef;
+}
+
+// Return for every referenced value the ids of the root documents containing it
+async function getOwnersOf(db, modelSubRef, pathSubRef, referencedValues, session, key = '_id') {
+  const field = getSubRefValueField(db, modelSubRef, pathSubRef, key);
+  const roots = await db
+    .model(modelSubRef)
+    .find({ [field]: { $in: referencedValues } }, { [field]: 1 })
+    .session(session)
+    .lean()
+    .exec();
+
+  return referencedValues.map((value) =>
+    roots
+      .filter((root) => getValuesAtPath(root, field).some((v) => isSameValue(v, value)))
+      .map((root) => root._id)
+  );
+}
+
+// Return the referenced values (ids or exact values) which don't exist in the sub referenced array
+async function getMissingValues(
+  db,
+  modelSubRef,
+  pathSubRef,
+  referencedValues,
+  boundRefValue,
+  session,
+  key = '_id'
+) {
+  const field = getSubRefValueField(db, modelSubRef, pathSubRef, key);
+  const existingValues = await db
+    .model(modelSubRef)
+    .distinct(field, {
+      ...(boundRefValue ? { _id: boundRefValue } : {}),
+      [field]: { $in: referencedValues },
+    })
+    .session(session)
+    .exec();
+
+  return referencedValues.filter((v) => !existingValues.some((e) => isSameValue(e, v)));
+}
+
+// Plain value of an element of an array, to be matched by a query
+function getPlainValue(value) {
+  return value instanceof mongoose.Document ? value.toObject({ depopulate: true }) : value;
+}
+
+// A copy of the object with the value set at the path
+function setValueAtPath(object, path, value) {
+  const [key, ...rest] = path.split('.');
+  return {
+    ...object,
+    [key]: rest.length ? setValueAtPath((object || {})[key], rest.join('.'), value) : value,
+  };
+}
+
+/**
+ * Positions of the elements of a sub referenced array selected by a positional operator:
+ * the first element matched by the conditions of the filter on the array ($),
+ * or the elements matched by the array filters of the identifier ($[identifier])
+ */
+function getPositionalIndexes(pathSubRef, values, selector, filter = {}, arrayFilters = []) {
+  if (selector === '$') {
+    const conditions = Object.keys(filter)
+      .filter((field) => field === pathSubRef || field.startsWith(pathSubRef + '.'))
+      .reduce((conditions, field) => ({ ...conditions, [field]: filter[field] }), {});
+    if (Object.keys(conditions).length === 0)
+      throw new Error(
+        `The positional operator $ on the sub referenced array ${pathSubRef} needs a condition on the array in the filter`
+      );
+
+    // A document with only the element matches the conditions, if the element does
+    const matches = sift(conditions);
+    const i = values.findIndex((value) =>
+      matches(setValueAtPath({}, pathSubRef, [getPlainValue(value)]))
+    );
+    return i === -1 ? [] : [i];
+  }
+
+  const identifier = selector.slice(2, -1);
+  const conditions = arrayFilters
+    .map((arrayFilter) =>
+      Object.keys(arrayFilter)
+        .filter((field) => field === identifier || field.startsWith(identifier + '.'))
+        .reduce((conditions, field) => ({ ...conditions, [field]: arrayFilter[field] }), {})
+    )
+    .reduce((all, conditions) => ({ ...all, ...conditions }), {});
+  if (Object.keys(conditions).length === 0)
+    throw new Error(
+      `The positional operator ${selector} on the sub referenced array ${pathSubRef} needs an array filter`
+    );
+
+  const matches = sift(conditions);
+  return values.reduce(
+    (indexes, value, i) =>
+      matches({ [identifier]: getPlainValue(value) }) ? [...indexes, i] : indexes,
+    []
+  );
+}
+
+/**
+ * Apply the operators of an update query to the values of a sub referenced array.
+ * Return the new values of the array, or undefined if the update doesn't touch it.
+ * The positional operators are resolved through the filter and the array filters of the query.
+ * The primitive values set in place of others, by index or by a positional operator, are pushed in renames.
+ */
+function getUpdatedValues(
+  pathSubRef,
+  oldValues,
+  update,
+  replacement,
+  filter,
+  arrayFilters,
+  renames = []
+) {
+  if (replacement) return getValueAtPath(update, pathSubRef) || [];
+
+  let values;
+  const current = () => (values === undefined ? [...oldValues] : values);
+
+  for (let operator in update) {
+    // Fields without operator are the same of $set
+    const fields = operator.startsWith('$') ? update[operator] : { [operator]: update[operator] };
+    if (!operator.startsWith('$')) operator = '$set';
+
+    for (let field in fields) {
+      const value = fields[field];
+
+      // The whole array (or one of its ancestors) is overwritten
+      if (field === pathSubRef || pathSubRef.startsWith(field + '.')) {
+        switch (operator) {
+          case '$set':
+            values =
+              (field === pathSubRef
+                ? value
+                : getValueAtPath(value, pathSubRef.substr(field.length + 1))) || [];
+            break;
+          case '$unset':
+          case '$rename':
+            values = [];
+            break;
+        }
+
+        if (field !== pathSubRef) continue;
+      }
+
+      if (field === pathSubRef)
+        switch (operator) {
+          case '$pull':
+            values = current().filter((v) => !sift(value)(v));
+            break;
+          case '$pullAll':
+            values = current().filter((v) => !value.some((p) => isSameValue(v, p)));
+            break;
+          case '$pop':
+            values = value === 1 ? current().slice(0, -1) : current().slice(1);
+            break;
+        }
+      else if (field.startsWith(pathSubRef + '.')) {
+        // Elements of the array (or one of their fields) replaced by index, by a positional operator or all of them
+        // (e.g. contacts.0, contacts.$, contacts.$[c].code or contacts.$[])
+        const [selector, ...rest] = field.substr(pathSubRef.length + 1).split('.');
+        const subPath = rest.join('.');
+        const newValue = operator === '$set' ? value : operator === '$unset' ? null : undefined;
+
+        if (newValue === undefined) continue;
+
+        values = current();
+        const indexes = /^\d+$/.test(selector)
+          ? [Number(selector)]
+          : selector === '$[]'
+          ? values.map((_, i) => i)
+          : selector === '$' || /^\$\[\w+\]$/.test(selector)
+          ? getPositionalIndexes(pathSubRef, values, selector, filter, arrayFilters)
+          : [];
+
+        for (let i of indexes) {
+          // A primitive value changed in place is renamed, also when many values change
+          if (
+            !subPath &&
+            selector !== '$[]' &&
+            !isSubDocument(values[i]) &&
+            !isSubDocument(newValue)
+          )
+            renames.push({ from: values[i], to: newValue });
+
+          values[i] = subPath
+            ? setValueAtPath(getPlainValue(values[i]), subPath, newValue)
+            : newValue;
+        }
+      }
+    }
+  }
+
+  return values;
+}
+
+// Query of the documents which an update query will update
+function findUpdatedDocuments(query, projection) {
+  const { sort, multi, session } = query.getOptions();
+  const documentsQuery = query.model.find(query.getFilter(), projection).session(session);
+
+  // Match the same document that the query will update
+  if (singleUpdateOperations.includes(query.op) || (query.op === 'update' && !multi))
+    documentsQuery.sort(sort).limit(1);
+
+  return documentsQuery;
+}
+
+// Return the path on the child to reach the root document ref (boundTo option)
+function getBoundToPath(db, modelRef, pathRef) {
+  const schemaType = db.model(modelRef).schema.path(pathRef);
+  // Array of sub refs
+  return (schemaType.caster || schemaType).options.boundTo;
+}
+
+function getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue) {
+  return {
+    // Children bound to the root document (or not bound at all)
+    ...(boundRefValue
+      ? { [getBoundToPath(db, modelRef, pathRef)]: { $in: [boundRefValue, null] } }
+      : {}),
+    [pathRef]: { $in: referencedValues },
+  };
 }
 
-function getUpdateQueryObjectFor(modelRef, pathRef, referencedValues) {
+// Build the update which sets null (or the given value) the referenced values, pulling them from the arrays of refs
+function getUpdateQueryObjectFor(db, modelRef, pathRef, referencedValues, value = null) {
   const path = pathRef instanceof Array ? pathRef : pathRef.split('.');
-  const model = mongoose.model(modelRef);
+  const model = db.model(modelRef);
   const fieldRefSchemaType = model.schema.path(pathRef);
   const result = [];
   const info = [];
@@ -63,191 +593,1497 @@ function getUpdateQueryObjectFor(modelRef, pathRef, referencedValues) {
   arrayFilterConditionPath += path[path.length - 1];
 
   // fieldRefSchemaType is the last schemaType of the path
-  // If it is array of refs then use pull else set (remove from the array the ref or set null the ref)
-  const operator = fieldRefSchemaType.constructor.name === 'SchemaArray' ? '$pull' : '$set';
+  // If it is array of refs then use pull (or set the matching elements to the value) else set the ref
+  const isArray = fieldRefSchemaType.constructor.name === 'SchemaArray';
+  const arrayFilters = [];
 
   // Update
-  result.push({
-    [operator]: {
-      [updatePath]: operator === '$pull' ? { $in: referencedValues } : null,
-    },
-  });
+  if (isArray && value === null)
+    result.push({ $pull: { [updatePath]: { $in: referencedValues } } });
+  else if (isArray) {
+    result.push({ $set: { [updatePath + '.$[k]']: value } });
+    arrayFilters.push({ k: { $in: referencedValues } });
+  } else result.push({ $set: { [updatePath]: value } });
 
-  // Update options
   // If we have found at the least one document array
   if (lastDocumentArray !== null)
-    result.push({
-      arrayFilters: [{ [`j.${arrayFilterConditionPath}`]: { $in: referencedValues } }],
-    });
+    arrayFilters.unshift({ [`j.${arrayFilterConditionPath}`]: { $in: referencedValues } });
+
+  // Update options
+  if (arrayFilters.length) result.push({ arrayFilters });
 
   return result;
 }
 
-async function onDeleteSetNull(
+// The referenced values which are still referenced by at least a child
+async function getStillReferencedValues(
+  db,
   modelRef,
   pathRef,
-  modelSubRef,
-  pathSubRef,
   referencedValues,
   boundRefValue,
-  { softDelete = false, _deleted } = {}
+  session
 ) {
-  if (!softDelete)
-    await mongoose
-      .model(modelRef)
-      .updateMany(
-        getFindQueryObjectFor(modelRef, pathRef, referencedValues, boundRefValue),
-        ...getUpdateQueryObjectFor(modelRef, pathRef, referencedValues)
-      )
-      .exec();
+  const values = await db
+    .model(modelRef)
+    .distinct(
+      pathRef,
+      getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue)
+    )
+    .session(session)
+    .exec();
+
+  return referencedValues.filter((r) => values.some((v) => isSameValue(r, v)));
 }
 
-async function onDeleteCascade(
+// Find the children referencing the values
+function findChildren(db, modelRef, pathRef, referencedValues, boundRefValue, session) {
+  return db
+    .model(modelRef)
+    .find(getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue))
+    .session(session)
+    .exec();
+}
+
+//#region Events
+
+// Listeners of the actions done on the children of the relationships
+const subRefActionListeners = new Set();
+
+/**
+ * Listen to the actions done on the children of the relationships (blocked deletions, cascades, set null and set default)
+ * @param {Function} listener called with { type, modelSubRef, pathSubRef, modelRef, pathRef, referencedValues, ids, softDelete, duration }
+ * @returns {Function} remove the listener
+ */
+function onSubRefAction(listener) {
+  subRefActionListeners.add(listener);
+  return () => subRefActionListeners.delete(listener);
+}
+
+// Handlers of the errors of the listeners, the errors are logged when there isn't any handler
+const subRefActionErrorHandlers = new Set();
+
+/**
+ * Handle the errors thrown (or rejected) by the listeners of the actions, which can't stop an action already done
+ * @param {Function} handler called with (error, event)
+ * @returns {Function} remove the handler
+ */
+function onSubRefActionError(handler) {
+  subRefActionErrorHandlers.add(handler);
+  return () => subRefActionErrorHandlers.delete(handler);
+}
+
+function reportSubRefActionError(error, event) {
+  if (!subRefActionErrorHandlers.size) return console.error(error);
+
+  for (let handler of subRefActionErrorHandlers)
+    try {
+      handler(error, event);
+    } catch (e) {
+      console.error(e);
+    }
+}
+
+// Ids of the children affected by an action, read only if someone is listening
+async function getActionIds(db, modelRef, pathRef, referencedValues, boundRefValue, session) {
+  if (!subRefActionListeners.size) return [];
+
+  return db
+    .model(modelRef)
+    .distinct('_id', getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue))
+    .session(session)
+    .exec();
+}
+
+function emitSubRefAction(
+  type,
   modelRef,
   pathRef,
   modelSubRef,
   pathSubRef,
   referencedValues,
-  boundRefValue,
-  { softDelete = false, _deleted } = {}
+  ids,
+  softDelete,
+  start
 ) {
-  const queryObject = getFindQueryObjectFor(modelRef, pathRef, referencedValues, boundRefValue);
+  // Nothing has been done
+  if (!ids.length) return;
 
-  const documents = await mongoose.model(modelRef).find(queryObject).exec();
+  const event = {
+    type,
+    modelSubRef,
+    pathSubRef,
+    modelRef,
+    pathRef,
+    referencedValues,
+    ids,
+    softDelete,
+    duration: Date.now() - start,
+  };
 
-  if (softDelete)
-    // We need to use the softDelete function to trigger again the hooks for checking sub references
-    await Promise.all(documents.map((doc) => doc.softDelete(_deleted)));
-  // We need to use the deleteOne function to trigger again the hooks for checking sub references
-  else await Promise.all(documents.map((doc) => doc.deleteOne()));
+  // The errors of the listeners, sync or async, are reported without stopping the action
+  for (let listener of subRefActionListeners)
+    Promise.resolve()
+      .then(() => listener(event))
+      .catch((error) => reportSubRefActionError(error, event));
 }
 
-async function onDeleteBlock(
+//#endregion
+
+async function onDeleteSetNull(
+  db,
   modelRef,
   pathRef,
   modelSubRef,
   pathSubRef,
   referencedValues,
   boundRefValue,
-  { softDelete = false, _deleted } = {}
+  { softDelete = false, _deleted } = {},
+  session
 ) {
-  if (!softDelete || _deleted) {
-    const constrainedDoc = await mongoose
-      .model(modelRef)
-      .findOne(getFindQueryObjectFor(modelRef, pathRef, referencedValues, boundRefValue))
-      .exec();
+  if (softDelete) return;
 
-    if (constrainedDoc)
-      // Cannot remove if exists at least one referencing this document
-      throw new SubRefConstraintError({
-        modelSubRef,
-        pathSubRef,
-        modelRef,
-        pathRef,
-        whoIsBlocking: constrainedDoc._id,
-      });
-  }
+  const start = Date.now();
+  const ids = await getActionIds(db, modelRef, pathRef, referencedValues, boundRefValue, session);
+
+  await db
+    .model(modelRef)
+    .updateMany(
+      getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue),
+      ...getUpdateQueryObjectFor(db, modelRef, pathRef, referencedValues)
+    )
+    .session(session)
+    .exec();
+
+  emitSubRefAction(
+    'setNull',
+    modelRef,
+    pathRef,
+    modelSubRef,
+    pathSubRef,
+    referencedValues,
+    ids,
+    softDelete,
+    start
+  );
 }
 
-async function onDeleteConditions(
-  schemaType,
+// Field of the children in which are recorded the sub refs unset by soft deleting the parent, to restore them with it
+const softDeletedSubRefsField = '_softDeletedSubRefs';
+
+// Soft deleting the parent unsets the sub refs of the children (recording them), restoring it sets them again
+async function onSoftDeleteSetNull(
+  db,
   modelRef,
   pathRef,
   modelSubRef,
   pathSubRef,
   referencedValues,
   boundRefValue,
-  softDeleteOptions
+  { softDelete = false, _deleted } = {},
+  trace,
+  session
 ) {
-  if (schemaType.required) {
-    // This reference is required
-    if (schemaType.cascade || (schemaType.options && schemaType.options.cascade))
-      // Delete references on cascade
-      await onDeleteCascade(
-        modelRef,
-        pathRef,
-        modelSubRef,
-        pathSubRef,
-        referencedValues,
-        boundRefValue,
-        softDeleteOptions
-      );
-    // Block delete if references exist
-    else
-      await onDeleteBlock(
-        modelRef,
-        pathRef,
-        modelSubRef,
-        pathSubRef,
-        referencedValues,
-        boundRefValue,
-        softDeleteOptions
-      );
+  const start = Date.now();
+  const model = db.model(modelRef);
+  // Array of sub refs, from which the values are pulled
+  const isArray = model.schema.path(pathRef).constructor.name === 'SchemaArray';
+  const ids = [];
+
+  const query = _deleted
+    ? getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue)
+    : {
+        [softDeletedSubRefsField]: { $elemMatch: { pathRef, value: { $in: referencedValues } } },
+      };
+  const cursor = model.find(query).session(session).batchSize(trace.batchSize).cursor();
+
+  try {
+    for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+      const update = _deleted
+        ? getSoftDeleteSetNullUpdate(doc, pathRef, referencedValues, isArray)
+        : getRestoreSetNullUpdate(doc, pathRef, referencedValues);
+
+      await model.updateOne({ _id: doc._id }, update).session(session).exec();
+      ids.push(doc._id);
+    }
+  } finally {
+    await cursor.close();
   }
-  // Not required, we can simply set null the reference
-  else
-    await onDeleteSetNull(
-      modelRef,
-      pathRef,
-      modelSubRef,
-      pathSubRef,
-      referencedValues,
-      boundRefValue,
-      softDeleteOptions
-    );
+
+  emitSubRefAction(
+    _deleted ? 'setNull' : 'restore',
+    modelRef,
+    pathRef,
+    modelSubRef,
+    pathSubRef,
+    referencedValues,
+    ids,
+    softDelete,
+    start
+  );
 }
 
-function plugin(modelName, schema) {
-  if (!refs[modelName]) refs[modelName] = [];
+// Drop the records of the unset sub refs, once the referenced values are deleted for good
+async function onDeleteClearSoftSetNull(db, modelRef, pathRef, referencedValues, session) {
+  await db
+    .model(modelRef)
+    .updateMany(
+      { [softDeletedSubRefsField]: { $elemMatch: { pathRef, value: { $in: referencedValues } } } },
+      { $pull: { [softDeletedSubRefsField]: { pathRef, value: { $in: referencedValues } } } }
+    )
+    .session(session)
+    .exec();
+}
 
-  function eachPath(path, schemaType) {
-    // Array of primitives
-    if (schemaType.constructor.name === 'SchemaArray' && schemaType.options.type[0].subRef) {
-      refs[getRootRef(schemaType.options.type[0].subRef)] = [
-        ...(refs[schemaType.options.subRef] || []),
-        { modelName, path: path, schemaType: schemaType.options.type[0] },
-      ];
+// Unset the referenced values in the child, recording where they were
+function getSoftDeleteSetNullUpdate(doc, pathRef, referencedValues, isArray) {
+  const records = getValuesWithPaths(doc.toObject({ depopulate: true }), pathRef)
+    .filter(({ value }) => referencedValues.some((r) => isSameValue(r, value)))
+    .map(({ path, value }) => ({
+      pathRef,
+      // The position in an array of sub refs can change, so the value is pushed again in the array
+      path: isArray ? path.split('.').slice(0, -1).join('.') : path,
+      array: isArray,
+      value,
+    }));
 
-      setValidator(path, schemaType.options.type[0]);
-    } else if (schemaType.schema) {
-      schemaType.schema.eachPath((subPath, subSchemaType) =>
-        eachPath(path + '.' + subPath, subSchemaType)
-      );
+  const update = { $push: { [softDeletedSubRefsField]: { $each: records } } };
+
+  for (let { path, array, value } of records)
+    if (array) {
+      update.$pull = update.$pull || {};
+      update.$pull[path] = { $in: [...((update.$pull[path] || {}).$in || []), value] };
+    } else {
+      update.$set = update.$set || {};
+      update.$set[path] = null;
     }
-    // Primitive fields or nested object fields
-    else if (schemaType.options.subRef) {
-      refs[getRootRef(schemaType.options.subRef)] = [
-        ...(refs[schemaType.options.subRef] || []),
-        { modelName, path, schemaType },
-      ];
 
-      setValidator(path, schemaType);
+  return update;
+}
+
+// Set again the recorded values in the child, unless the sub refs have been changed in the meanwhile
+function getRestoreSetNullUpdate(doc, pathRef, referencedValues) {
+  const update = {
+    $pull: { [softDeletedSubRefsField]: { pathRef, value: { $in: referencedValues } } },
+  };
+
+  for (let record of doc.get(softDeletedSubRefsField)) {
+    const { path, array, value } = record;
+    if (record.pathRef !== pathRef || !referencedValues.some((r) => isSameValue(r, value)))
+      continue;
+
+    if (array) {
+      update.$push = update.$push || {};
+      update.$push[path] = { $each: [...((update.$push[path] || {}).$each || []), value] };
+    } else if (doc.get(path) === null || doc.get(path) === undefined) {
+      update.$set = update.$set || {};
+      update.$set[path] = value;
     }
   }
 
-  // Search for sub refs in schema
+  return update;
+}
+
+// Rewrite the renamed values in the children, as they are renamed in the parent
+async function onUpdateCascade(
+  db,
+  modelRef,
+  pathRef,
+  modelSubRef,
+  pathSubRef,
+  renamedValues,
+  boundRefValue,
+  session
+) {
+  for (let { from, to } of renamedValues) {
+    const start = Date.now();
+    const ids = await getActionIds(db, modelRef, pathRef, [from], boundRefValue, session);
+
+    await db
+      .model(modelRef)
+      .updateMany(
+        getFindQueryObjectFor(db, modelRef, pathRef, [from], boundRefValue),
+        ...getUpdateQueryObjectFor(db, modelRef, pathRef, [from], to)
+      )
+      .session(session)
+      .exec();
+
+    emitSubRefAction(
+      'updateCascade',
+      modelRef,
+      pathRef,
+      modelSubRef,
+      pathSubRef,
+      [from],
+      ids,
+      false,
+      start
+    );
+  }
+}
+
+async function onDeleteSetDefault(
+  db,
+  modelRef,
+  pathRef,
+  modelSubRef,
+  pathSubRef,
+  referencedValues,
+  boundRefValue,
+  { softDelete = false, _deleted } = {},
+  defaultValue,
+  session
+) {
+  if (softDelete) return;
+
+  const start = Date.now();
+  const ids = await getActionIds(db, modelRef, pathRef, referencedValues, boundRefValue, session);
+
+  await db
+    .model(modelRef)
+    .updateMany(
+      getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue),
+      ...getUpdateQueryObjectFor(db, modelRef, pathRef, referencedValues, defaultValue)
+    )
+    .session(session)
+    .exec();
+
+  emitSubRefAction(
+    'setDefault',
+    modelRef,
+    pathRef,
+    modelSubRef,
+    pathSubRef,
+    referencedValues,
+    ids,
+    softDelete,
+    start
+  );
+}
+
+async function onDeleteCustom(
+  db,
+  modelRef,
+  pathRef,
+  modelSubRef,
+  pathSubRef,
+  referencedValues,
+  boundRefValue,
+  { softDelete = false, _deleted } = {},
+  handler,
+  documents,
+  session
+) {
+  await handler({
+    modelRef,
+    pathRef,
+    modelSubRef,
+    pathSubRef,
+    referencedValues,
+    boundRefValue,
+    softDelete,
+    _deleted,
+    documents,
+    session,
+  });
+}
+
+async function onDeleteCascade(
+  db,
+  modelRef,
+  pathRef,
+  modelSubRef,
+  pathSubRef,
+  referencedValues,
+  boundRefValue,
+  { softDelete = false, _deleted } = {},
+  trace,
+  session
+) {
+  // The action is emitted for every batch of children, so that their ids are never collected all together
+  const emit = (ids, start) =>
+    emitSubRefAction(
+      'cascade',
+      modelRef,
+      pathRef,
+      modelSubRef,
+      pathSubRef,
+      referencedValues,
+      ids,
+      softDelete,
+      start
+    );
+
+  // Children without sub referenced documents don't need the hooks, if their model allows it they are deleted with a single query
+  if (!softDelete && isLeafModel(db, modelRef) && isCascadeDeleteMany(db, modelRef)) {
+    const model = db.model(modelRef);
+
+    if (subRefActionListeners.size === 0)
+      await model
+        .deleteMany(getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue))
+        .session(session)
+        .exec();
+    // The ids are read only when there is at least a listener
+    else
+      await forEachChildrenBatch(
+        db,
+        modelRef,
+        pathRef,
+        referencedValues,
+        boundRefValue,
+        session,
+        trace.batchSize,
+        async (documents) => {
+          const start = Date.now();
+          const ids = documents.map((doc) => doc._id);
+
+          await model
+            .deleteMany({ _id: { $in: ids } })
+            .session(session)
+            .exec();
+          emit(ids, start);
+        },
+        '_id'
+      );
+
+    return;
+  }
+
+  const depth = trace.depth + 1;
+
+  await forEachChildrenBatch(
+    db,
+    modelRef,
+    pathRef,
+    referencedValues,
+    boundRefValue,
+    session,
+    trace.batchSize,
+    async (documents) => {
+      const start = Date.now();
+      // Children already met are being deleted by the same operation (cyclic sub refs)
+      documents = documents.filter((doc) => !trace.deleting.has(getTraceKey(modelRef, doc)));
+
+      await runAll(
+        documents.map((doc) => {
+          trace.deleting.add(getTraceKey(modelRef, doc));
+
+          // Children are deleted in the same session and in the same cascade of the parent
+          if (session) doc.$session(session);
+          doc.$locals.subRefCascadeTrace = { ...trace, depth };
+
+          // We need to use the softDelete or deleteOne functions to trigger again the hooks for checking sub references
+          return () => (softDelete ? doc.softDelete(_deleted) : doc.deleteOne());
+        }),
+        session,
+        trace.concurrency
+      );
+      emit(
+        documents.map((doc) => doc._id),
+        start
+      );
+    }
+  );
+}
+
+async function onDeleteBlock(
+  db,
+  modelRef,
+  pathRef,
+  modelSubRef,
+  pathSubRef,
+  referencedValues,
+  boundRefValue,
+  { softDelete = false, _deleted } = {},
+  session,
+  trace
+) {
+  if (!softDelete || _deleted) {
+    const start = Date.now();
+
+    // Every blocking child is collected, and they are thrown together once the planning is completed
+    if (trace && trace.reportAllBlocking) {
+      const query = getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue);
+      const count = await db.model(modelRef).countDocuments(query).session(session).exec();
+      if (count === 0) return;
+
+      const ids = (
+        await db
+          .model(modelRef)
+          .find(query, '_id')
+          .limit(trace.maxBlockingIds)
+          .session(session)
+          .exec()
+      ).map((doc) => doc._id);
+
+      emitSubRefAction(
+        'block',
+        modelRef,
+        pathRef,
+        modelSubRef,
+        pathSubRef,
+        referencedValues,
+        ids,
+        softDelete,
+        start
+      );
+
+      trace.blocking.push({ modelSubRef, pathSubRef, modelRef, pathRef, count, ids });
+      return;
+    }
+
+    const constrainedDoc = await db
+      .model(modelRef)
+      .findOne(getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue))
+      .session(session)
+      .exec();
+
+    if (constrainedDoc) {
+      emitSubRefAction(
+        'block',
+        modelRef,
+        pathRef,
+        modelSubRef,
+        pathSubRef,
+        referencedValues,
+        [constrainedDoc._id],
+        softDelete,
+        start
+      );
+
+      // Cannot remove if exists at least one referencing this document
+      throw new SubRefConstraintError({
+        modelSubRef,
+        pathSubRef,
+        modelRef,
+        pathRef,
+        whoIsBlocking: constrainedDoc._id,
+      });
+    }
+  }
+}
+
+// Throw the blocking children collected while planning, all together
+function throwIfBlocked(trace) {
+  if (!trace.blocking.length) return;
+
+  const [{ modelSubRef, pathSubRef, modelRef, pathRef, ids }] = trace.blocking;
+  throw new SubRefConstraintError({
+    modelSubRef,
+    pathSubRef,
+    modelRef,
+    pathRef,
+    whoIsBlocking: ids[0],
+    blocking: trace.blocking,
+  });
+}
+
+// Default max depth of the children deleted on cascade, from the document deleted
+const defaultMaxCascadeDepth = 100;
+// Default number of children read with a single query, and deleted at the same time, by a cascade
+const defaultCascadeBatchSize = 1000;
+const defaultCascadeConcurrency = 10;
+// Default max number of ids of the blocking children reported for every relationship
+const defaultMaxBlockingIds = 10;
+
+/**
+ * Keep track of the documents met by the cascade of a single operation,
+ * so that cyclic sub refs don't plan (and delete) the same document twice.
+ * planned are the documents met while planning, deleting the ones met while executing the plan.
+ */
+function createCascadeTrace({
+  maxCascadeDepth = defaultMaxCascadeDepth,
+  cascadeBatchSize = defaultCascadeBatchSize,
+  cascadeConcurrency = defaultCascadeConcurrency,
+  reportAllBlocking = false,
+  maxBlockingIds = defaultMaxBlockingIds,
+} = {}) {
+  return {
+    planned: new Set(),
+    deleting: new Set(),
+    // Plans of the children checked by the cascade, run when they are deleted (then they aren't planned again)
+    plans: new Map(),
+    depth: 0,
+    maxDepth: maxCascadeDepth,
+    batchSize: cascadeBatchSize,
+    concurrency: cascadeConcurrency,
+    // Blocking children collected while planning: [{ modelSubRef, pathSubRef, modelRef, pathRef, count, ids }]
+    blocking: [],
+    reportAllBlocking,
+    maxBlockingIds,
+  };
+}
+
+function getTraceKey(modelName, document) {
+  return modelName + ':' + document._id;
+}
+
+// The model has been extended with mongoose-soft-deleting
+function isSoftDeletable(db, modelName) {
+  return typeof db.model(modelName).schema.statics.preSoftDelete === 'function';
+}
+
+// With the option softDeleteSubDocs of the parent, the children on cascade of the removed sub documents are soft deleted
+// (or restored, when the sub documents are added again) instead of being deleted
+function getSubDocsSoftDeleteOptions(db, schemaType, modelRef, subRefOptions = {}, _deleted) {
+  if (
+    !subRefOptions.softDeleteSubDocs ||
+    getOnDelete(schemaType) !== 'cascade' ||
+    !isSoftDeletable(db, modelRef)
+  )
+    return undefined;
+
+  return { softDelete: true, _deleted };
+}
+
+// Sub refs of a model whose root documents can be soft deleted
+function getSoftDeletableSubRefs(db, subRefPaths) {
+  return subRefPaths
+    .map(({ path, schemaType }) => {
+      const modelSubRef = getRootRef(schemaType.options.subRef);
+      const pathSubRef = schemaType.options.subRef.substr(modelSubRef.length + 1);
+      return {
+        path,
+        modelSubRef,
+        pathSubRef,
+        boundTo: schemaType.options.boundTo,
+        key: getSubRefKey(schemaType),
+      };
+    })
+    .filter(({ modelSubRef }) => isSoftDeletable(db, modelSubRef));
+}
+
+/**
+ * Lookups of the root documents of the soft deletable sub refs, with the conditions matching the children
+ * whose sub refs are directed to soft deleted root documents.
+ * The bound root document is used if available, else (also for the children not bound) every root document
+ * containing the referenced sub documents.
+ */
+function getSoftDeletedSubRefsLookups(db, subRefPaths) {
+  const lookups = [];
+  const conditions = [];
+  const fields = [];
+
+  getSoftDeletableSubRefs(db, subRefPaths).forEach(
+    ({ path, modelSubRef, pathSubRef, boundTo, key }, i) => {
+      const from = db.model(modelSubRef).collection.name;
+      const as = `_subRefRoots${i}`;
+
+      lookups.push({
+        $lookup: {
+          from,
+          localField: path,
+          foreignField: getSubRefValueField(db, modelSubRef, pathSubRef, key),
+          as,
+        },
+      });
+      fields.push(as);
+
+      // Without sub refs, the root documents matched by the lookup are not referenced
+      const referenced = { [path]: { $nin: [null, []] }, [as + '._deleted']: true };
+      if (!boundTo) {
+        conditions.push(referenced);
+        return;
+      }
+
+      const boundAs = `_subRefBoundRoots${i}`;
+      lookups.push({ $lookup: { from, localField: boundTo, foreignField: '_id', as: boundAs } });
+      fields.push(boundAs);
+
+      // The children without a bound root document are checked through their sub refs
+      conditions.push(
+        { [boundTo]: { $ne: null }, [boundAs + '._deleted']: true },
+        { ...referenced, [boundTo]: null }
+      );
+    }
+  );
+
+  return { lookups, conditions, fields };
+}
+
+// Conditions which exclude the children matched by the filter whose sub refs are directed to soft deleted root documents
+async function getLiveSubRefsConditions(db, modelName, filter, subRefPaths, session) {
+  const { lookups, conditions } = getSoftDeletedSubRefsLookups(db, subRefPaths);
+  if (conditions.length === 0) return [];
+
+  // Only the excluded children among the matched ones are read
+  const excluded = await db
+    .model(modelName)
+    .aggregate([
+      { $match: filter },
+      ...lookups,
+      { $match: { $or: conditions } },
+      { $project: { _id: 1 } },
+    ])
+    .session(session);
+
+  return excluded.length > 0 ? [{ _id: { $nin: excluded.map((doc) => doc._id) } }] : [];
+}
+
+// Aggregation stages which exclude the children whose sub refs are directed to soft deleted root documents
+function getLiveSubRefsStages(db, subRefPaths) {
+  const { lookups, conditions, fields } = getSoftDeletedSubRefsLookups(db, subRefPaths);
+  if (conditions.length === 0) return [];
+
+  return [
+    ...lookups,
+    { $match: { $nor: conditions } },
+    { $project: fields.reduce((projection, field) => ({ ...projection, [field]: 0 }), {}) },
+  ];
+}
+
+// The model is not the parent of any relationship
+function isLeafModel(db, modelName) {
+  const { refs } = getRegistry(db);
+  return !refs[modelName] || refs[modelName].length === 0;
+}
+
+// The children of the model can be deleted on cascade with a single query, skipping their document middleware (option cascadeDeleteMany)
+function isCascadeDeleteMany(db, modelName) {
+  const { options } = getRegistry(db);
+  return !!(options[modelName] && options[modelName].cascadeDeleteMany);
+}
+
+// Read the documents of a query through a cursor, a batch at a time
+async function forEachBatch(query, batchSize, callback) {
+  const cursor = query.batchSize(batchSize).cursor();
+  let batch = [];
+
+  try {
+    for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+      batch.push(doc);
+      if (batch.length >= batchSize) {
+        await callback(batch);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) await callback(batch);
+  } finally {
+    await cursor.close();
+  }
+}
+
+// Read the children through a cursor, a batch at a time
+function forEachChildrenBatch(
+  db,
+  modelRef,
+  pathRef,
+  referencedValues,
+  boundRefValue,
+  session,
+  batchSize,
+  callback,
+  projection
+) {
+  return forEachBatch(
+    db
+      .model(modelRef)
+      .find(
+        getFindQueryObjectFor(db, modelRef, pathRef, referencedValues, boundRefValue),
+        projection
+      )
+      .session(session),
+    batchSize,
+    callback
+  );
+}
+
+/**
+ * Find the children to delete on cascade and plan their deletion,
+ * so that a child blocked by its own children will block the whole deletion.
+ * Only the preview keeps the children (and their plans), the deletion reads them again when executed.
+ */
+async function planDeleteCascade(
+  db,
+  modelRef,
+  pathRef,
+  modelSubRef,
+  pathSubRef,
+  referencedValues,
+  boundRefValue,
+  softDeleteOptions = {},
+  session,
+  preview,
+  trace
+) {
+  const documents = [];
+
+  // Children without sub referenced documents can't block the deletion
+  if (!preview && isLeafModel(db, modelRef)) return documents;
+
+  const depth = trace.depth + 1;
+
+  await forEachChildrenBatch(
+    db,
+    modelRef,
+    pathRef,
+    referencedValues,
+    boundRefValue,
+    session,
+    trace.batchSize,
+    async (batch) => {
+      // Children already met are being deleted by the same operation (cyclic sub refs)
+      batch = batch.filter(
+        (doc) =>
+          !trace.planned.has(getTraceKey(modelRef, doc)) &&
+          !trace.deleting.has(getTraceKey(modelRef, doc))
+      );
+      if (batch.length === 0) return;
+
+      if (depth > trace.maxDepth)
+        throw new Error(
+          `Can't delete on cascade ${modelRef} --> ${pathRef}, the max cascade depth (${trace.maxDepth}) has been exceeded`
+        );
+
+      batch.forEach((doc) => trace.planned.add(getTraceKey(modelRef, doc)));
+      if (preview) documents.push(...batch);
+
+      // Plan the deletion of every child (an already soft deleted child will be removed completely by softDelete)
+      await runAll(
+        batch.map((doc) => async () => {
+          const plan = await planDelete(
+            db,
+            modelRef,
+            doc,
+            softDeleteOptions.softDelete && softDeleteOptions._deleted && doc._deleted
+              ? undefined
+              : softDeleteOptions,
+            session,
+            preview,
+            { ...trace, depth }
+          );
+
+          if (preview) doc.$locals.subRefDeletePlan = plan;
+          else trace.plans.set(getTraceKey(modelRef, doc), plan);
+        }),
+        session,
+        trace.concurrency
+      );
+    }
+  );
+
+  return documents;
+}
+
+/**
+ * Plan what to do on the children of a relationship when the referenced values are deleted.
+ * It only reads: blocking children throw a SubRefConstraintError, while cascade deletes
+ * and set null are returned as actions to execute later.
+ * When previewing, blocking children are returned as a restrict action instead.
+ */
+async function planDeleteConditions(
+  db,
+  schemaType,
+  modelRef,
+  pathRef,
+  modelSubRef,
+  pathSubRef,
+  referencedValues,
+  boundRefValue,
+  softDeleteOptions,
+  session,
+  preview,
+  trace = createCascadeTrace()
+) {
+  const plan = await planOnDelete(
+    db,
+    schemaType,
+    modelRef,
+    pathRef,
+    modelSubRef,
+    pathSubRef,
+    referencedValues,
+    boundRefValue,
+    softDeleteOptions,
+    session,
+    preview,
+    trace
+  );
+
+  // Hard deleting the referenced values drops the sub refs recorded by soft deleting them, which can't be restored anymore
+  if (
+    !preview &&
+    !(softDeleteOptions && softDeleteOptions.softDelete) &&
+    getOnSoftDelete(schemaType) === 'setNull'
+  )
+    plan.push({ modelRef, pathRef, referencedValues, type: 'clearSoftSetNull' });
+
+  return plan;
+}
+
+// Actions of the onDelete option of a relationship
+async function planOnDelete(
+  db,
+  schemaType,
+  modelRef,
+  pathRef,
+  modelSubRef,
+  pathSubRef,
+  referencedValues,
+  boundRefValue,
+  softDeleteOptions,
+  session,
+  preview,
+  trace
+) {
+  const action = {
+    modelRef,
+    pathRef,
+    modelSubRef,
+    pathSubRef,
+    referencedValues,
+    boundRefValue,
+    softDeleteOptions,
+  };
+
+  const onDelete = getOnDelete(schemaType);
+
+  // Soft deleting (or restoring) the parent unsets (or sets again) the sub refs declared not required,
+  // unless the children follow it on cascade
+  if (
+    softDeleteOptions &&
+    softDeleteOptions.softDelete &&
+    getOnSoftDelete(schemaType) === 'setNull' &&
+    onDelete !== 'cascade'
+  )
+    return [{ ...action, type: 'softSetNull' }];
+
+  if (typeof onDelete === 'function')
+    // Custom handler, which receives the affected children
+    return [
+      {
+        ...action,
+        type: 'custom',
+        handler: onDelete,
+        documents: await findChildren(
+          db,
+          modelRef,
+          pathRef,
+          referencedValues,
+          boundRefValue,
+          session
+        ),
+      },
+    ];
+
+  switch (onDelete) {
+    case 'cascade': {
+      // Delete references on cascade
+      const documents = await planDeleteCascade(
+        db,
+        modelRef,
+        pathRef,
+        modelSubRef,
+        pathSubRef,
+        referencedValues,
+        boundRefValue,
+        softDeleteOptions,
+        session,
+        preview,
+        trace
+      );
+
+      return [{ ...action, type: 'cascade', ...(preview ? { documents } : {}) }];
+    }
+    case 'restrict': {
+      if (preview) {
+        const documents = await findChildren(
+          db,
+          modelRef,
+          pathRef,
+          referencedValues,
+          boundRefValue,
+          session
+        );
+        return documents.length > 0 ? [{ ...action, type: 'restrict', documents }] : [];
+      }
+
+      // Block delete if references exist
+      await onDeleteBlock(
+        db,
+        modelRef,
+        pathRef,
+        modelSubRef,
+        pathSubRef,
+        referencedValues,
+        boundRefValue,
+        softDeleteOptions,
+        session,
+        trace
+      );
+      return [];
+    }
+    case 'setDefault': {
+      const defaultValue = schemaType.getDefault(null);
+
+      // Without a default it's the same as set null
+      if (defaultValue !== null && defaultValue !== undefined)
+        return [{ ...action, type: 'setDefault', defaultValue }];
+      return [{ ...action, type: 'setNull' }];
+    }
+    case 'noAction':
+      // Leave the references as they are
+      return [];
+    default:
+      // Soft deleting (or restoring) the parent can unset (or set again) the reference
+      if (softDeleteOptions && softDeleteOptions.softDelete)
+        return getOnSoftDelete(schemaType) === 'setNull'
+          ? [{ ...action, type: 'softSetNull' }]
+          : [];
+
+      // We can simply set null the reference
+      return [{ ...action, type: 'setNull' }];
+  }
+}
+
+// Plan the deletion of a document, for every relationship in which its model is the parent
+async function planDelete(
+  db,
+  modelName,
+  document,
+  softDeleteOptions,
+  session,
+  preview,
+  trace = createCascadeTrace()
+) {
+  const { refs } = getRegistry(db);
+  let plan = [];
+
+  trace.planned.add(getTraceKey(modelName, document));
+
+  for (let { modelName: modelRef, path, schemaType } of refs[modelName] || []) {
+    // Remove the model name from the ref
+    const pathSubRef = schemaType.options.subRef.substr(modelName.length + 1);
+
+    // Are children bound to the root document ?
+    const boundRefValue = schemaType.options.boundTo ? document._id : null;
+
+    plan = [
+      ...plan,
+      ...(await planDeleteConditions(
+        db,
+        schemaType,
+        modelRef,
+        path,
+        modelName,
+        pathSubRef,
+        getReferencedValues(pathSubRef, document, getSubRefKey(schemaType)),
+        boundRefValue,
+        softDeleteOptions,
+        session,
+        preview,
+        trace
+      )),
+    ];
+  }
+
+  return plan;
+}
+
+/**
+ * Describe what a plan (made with preview) would do on the children, as a tree:
+ * every action has the ids of the affected children, and the children deleted on cascade
+ * have their own actions
+ */
+async function previewDeletePlan(db, modelName, _id, plan, session) {
+  const actions = [];
+
+  for (let action of plan) {
+    const { type, modelRef, pathRef, modelSubRef, pathSubRef, referencedValues } = action;
+    const documents =
+      action.documents ||
+      (await findChildren(db, modelRef, pathRef, referencedValues, action.boundRefValue, session));
+
+    if (documents.length === 0) continue;
+
+    const preview = {
+      type,
+      modelRef,
+      pathRef,
+      modelSubRef,
+      pathSubRef,
+      referencedValues,
+      ids: documents.map((doc) => doc._id),
+    };
+
+    if (type === 'cascade') {
+      preview.children = [];
+      for (let doc of documents)
+        preview.children.push(
+          await previewDeletePlan(
+            db,
+            modelRef,
+            doc._id,
+            doc.$locals.subRefDeletePlan || [],
+            session
+          )
+        );
+    }
+
+    actions.push(preview);
+  }
+
+  const blocked = actions.some(
+    (action) =>
+      action.type === 'restrict' ||
+      (action.type === 'cascade' && action.children.some((child) => child.blocked))
+  );
+
+  return { modelName, _id, blocked, actions };
+}
+
+// Execute the actions of a plan, only when the whole plan is known to be allowed
+async function executeDeletePlan(db, plan, session, trace = createCascadeTrace()) {
+  for (let action of plan) {
+    const args = [
+      action.modelRef,
+      action.pathRef,
+      action.modelSubRef,
+      action.pathSubRef,
+      action.referencedValues,
+      action.boundRefValue,
+      action.softDeleteOptions,
+    ];
+
+    if (action.type === 'cascade') await onDeleteCascade(db, ...args, trace, session);
+    else if (action.type === 'setDefault')
+      await onDeleteSetDefault(db, ...args, action.defaultValue, session);
+    else if (action.type === 'custom')
+      await onDeleteCustom(db, ...args, action.handler, action.documents, session);
+    else if (action.type === 'softSetNull') await onSoftDeleteSetNull(db, ...args, trace, session);
+    else if (action.type === 'clearSoftSetNull')
+      await onDeleteClearSoftSetNull(
+        db,
+        action.modelRef,
+        action.pathRef,
+        action.referencedValues,
+        session
+      );
+    else if (action.type === 'updateCascade')
+      await onUpdateCascade(
+        db,
+        action.modelRef,
+        action.pathRef,
+        action.modelSubRef,
+        action.pathSubRef,
+        action.renamedValues,
+        action.boundRefValue,
+        session
+      );
+    else await onDeleteSetNull(db, ...args, session);
+  }
+}
+
+// Run the callbacks in parallel (at most concurrency at a time), or one by one if they share a session (which can't run operations in parallel)
+async function runAll(callbacks, session, concurrency = Infinity) {
+  if (session) concurrency = 1;
+
+  let next = 0;
+  const worker = async () => {
+    while (next < callbacks.length) await callbacks[next++]();
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, callbacks.length) }, worker));
+}
+
+async function startTransaction(db) {
+  const session = await db.startSession();
+  session.startTransaction();
+  return session;
+}
+
+async function endTransaction(session, commit) {
+  try {
+    if (commit) await session.commitTransaction();
+    else await session.abortTransaction();
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * @param {String} modelName
+ * @param {Schema} schema
+ * @param {Object} [options]
+ * @param {Connection|Mongoose} [options.connection] connection (or mongoose instance) of the models, which has its own registry of the relationships
+ * @param {Boolean} [options.transaction] open a transaction around every delete, save or update query without a session
+ * @param {Number} [options.maxCascadeDepth] max depth of the children deleted on cascade (100 by default)
+ * @param {Number} [options.cascadeBatchSize] number of children read with a single query by a cascade (1000 by default)
+ * @param {Number} [options.cascadeConcurrency] number of children deleted at the same time by a cascade (10 by default)
+ * @param {Boolean} [options.cascadeDeleteMany] delete the children of this model on cascade with a single query, skipping their document middleware (only if the model isn't the parent of any relationship)
+ * @param {Boolean} [options.reportAllBlocking] collect every blocking child in a single SubRefConstraintError, instead of stopping at the first one
+ * @param {Number} [options.maxBlockingIds] max number of ids of the blocking children reported for every relationship (10 by default)
+ * @param {Boolean} [options.softDeleteSubDocs] soft delete (and restore) the soft deletable children on cascade of the removed (and added again) sub documents
+ * @param {Boolean} [options.restoreParents] restore the soft deleted root documents of the required sub refs, when restoring a document (else the restore is blocked)
+ */
+function plugin(modelName, schema, options = {}) {
+  // Models of the connection (or of the default mongoose instance) used while registering
+  const connection = getConnection(options.connection);
+  const registryDb = connection || mongoose.connection;
+
+  if (connection && !registries.has(connection)) registries.set(connection, createRegistry());
+  const registry = getRegistry(connection);
+  const { refs, models, schemas, options: registeredOptions, pending, validators } = registry;
+
+  // The hooks can't be registered twice
+  if (models.has(modelName))
+    throw new Error(`The sub references of the model ${modelName} are already registered`);
+  if (registeredSchemas.has(schema))
+    throw new Error(
+      `The schema of the model ${modelName} is already registered, use a different schema for every model`
+    );
+  models.add(modelName);
+  schemas[modelName] = schema;
+  registeredOptions[modelName] = options;
+  registeredSchemas.add(schema);
+
+  if (!refs[modelName]) refs[modelName] = [];
+
+  // Any array of the model can be sub referenced, also by the children registered after it's compiled
+  for (let [path, schemaType] of [
+    ...Object.entries(schema.paths),
+    ...Object.entries(schema.singleNestedPaths),
+  ])
+    if (['SchemaArray', 'DocumentArrayPath'].includes(schemaType.constructor.name))
+      setRemovedValuesValidator(registry, modelName, path, schemaType);
+
+  // Sub refs declared in this schema (this model is the child of these relationships)
+  const subRefPaths = [];
+
+  // Add the relationship to the ones of the parent model
+  function addRelationship(path, schemaType) {
+    checkOnDelete(modelName, path, schemaType);
+    checkOnSoftDelete(modelName, path, schemaType);
+    checkOnUpdate(modelName, path, schemaType);
+
+    const modelSubRef = getRootRef(schemaType.options.subRef);
+    refs[modelSubRef] = [...(refs[modelSubRef] || []), { modelName, path, schemaType }];
+    subRefPaths.push({ path, schemaType });
+
+    setValidator(path, schemaType);
+  }
+
+  function eachPath(path, schemaType) {
+    // Array of primitives
+    if (
+      schemaType.constructor.name === 'SchemaArray' &&
+      schemaType.caster &&
+      schemaType.caster.options &&
+      schemaType.caster.options.subRef
+    ) {
+      addRelationship(path, schemaType.caster);
+      setExistenceValidator(schemaType, schemaType.caster);
+    } else if (schemaType.schema) {
+      schemaType.schema.eachPath((subPath, subSchemaType) =>
+        eachPath(path + '.' + subPath, subSchemaType)
+      );
+    }
+    // Primitive fields or nested object fields
+    else if (schemaType.options.subRef) {
+      addRelationship(path, schemaType);
+      setExistenceValidator(schemaType, schemaType);
+    }
+  }
+
+  // Search for sub refs in schema
   schema.eachPath((path, schemaType) => eachPath(path, schemaType));
 
+  // Sub refs unset by soft deleting their parents, to be restored with them
+  if (subRefPaths.some(({ schemaType }) => getOnSoftDelete(schemaType) === 'setNull'))
+    schema.add({
+      [softDeletedSubRefsField]: [
+        {
+          _id: false,
+          pathRef: String,
+          path: String,
+          array: Boolean,
+          value: mongoose.Schema.Types.Mixed,
+        },
+      ],
+    });
+
+  // Wire the relationships of the children registered before this model
+  for (let relationship of pending.filter(({ subRefModel }) => subRefModel === modelName)) {
+    pending.splice(pending.indexOf(relationship), 1);
+    relationship.wire(schema);
+  }
+
+  //#region Transaction
+
+  // These hooks must be registered before any other, so that every operation runs in the transaction
+  if (options.transaction) {
+    // Mongoose validates a document before running the save hooks, the checks of the validators must run in the transaction too
+    // (a validation without saving has nothing to commit, mongoose has no public flag for a document being saved)
+    schema.pre('validate', async function () {
+      if (!this.$__.saving || this.$session()) return;
+
+      this.$locals.subRefTransaction = await startTransaction(this.constructor.db);
+      this.$session(this.$locals.subRefTransaction);
+    });
+
+    schema.pre(documentOperations, { document: true, query: false }, async function () {
+      if (this.$session()) return;
+
+      this.$locals.subRefTransaction = await startTransaction(this.constructor.db);
+      this.$session(this.$locals.subRefTransaction);
+    });
+
+    schema.pre(
+      [...deleteOperations, ...updateOperations],
+      { document: false, query: true },
+      async function () {
+        if (this.getOptions().session) return;
+
+        this.subRefTransaction = await startTransaction(this.model.db);
+        this.session(this.subRefTransaction);
+      }
+    );
+  }
+
+  // These hooks must be registered after any other, so that every operation has been executed
+  function setTransactionEnd() {
+    if (!options.transaction) return;
+
+    async function endDocumentTransaction(document, commit) {
+      const session = document.$locals.subRefTransaction;
+      if (!session) return;
+
+      delete document.$locals.subRefTransaction;
+      document.$session(null);
+      await endTransaction(session, commit);
+    }
+
+    async function endQueryTransaction(query, commit) {
+      const session = query.subRefTransaction;
+      if (!session) return;
+
+      delete query.subRefTransaction;
+      await endTransaction(session, commit);
+    }
+
+    schema.post(documentOperations, { document: true, query: false }, async function () {
+      await endDocumentTransaction(this, true);
+    });
+
+    schema.post(documentOperations, { document: true, query: false }, function (error, res, next) {
+      endDocumentTransaction(this, false).then(() => next(error), next);
+    });
+
+    schema.post(
+      [...deleteOperations, ...updateOperations],
+      { document: false, query: true },
+      async function () {
+        await endQueryTransaction(this, true);
+      }
+    );
+
+    schema.post(
+      [...deleteOperations, ...updateOperations],
+      { document: false, query: true },
+      function (error, res, next) {
+        endQueryTransaction(this, false).then(() => next(error), next);
+      }
+    );
+  }
+
+  //#endregion
+
   async function onDelete(document, softDeleteOptions) {
-    for (let { modelName: modelRef, path, schemaType } of refs[modelName]) {
-      // Remove the model name from the ref
-      const pathSubRef = schemaType.options.subRef.substr(modelName.length + 1);
+    const db = getDocumentDb(document);
+
+    // The document could be deleted by a cascade (or a query), which has already met other documents
+    const trace = document.$locals.subRefCascadeTrace || createCascadeTrace(options);
+    delete document.$locals.subRefCascadeTrace;
+    const key = getTraceKey(modelName, document);
+    trace.deleting.add(key);
+
+    // The deletion could have been already planned (by a query or by the cascade of a parent)
+    const plan =
+      trace.plans.get(key) ||
+      (await planDelete(db, modelName, document, softDeleteOptions, document.$session(), false, {
+        ...trace,
+        planned: new Set(),
+      }));
+    trace.plans.delete(key);
+    throwIfBlocked(trace);
 
-      // Is field boundTo the root document ref ?
+    await executeDeletePlan(db, plan, document.$session(), trace);
+  }
+
+  // A restored child can't have required sub refs to soft deleted root documents, unless they are restored too
+  async function onRestore(document) {
+    const db = getDocumentDb(document);
+    const session = document.$session();
+
+    // Documents restored by the same operation (cyclic sub refs)
+    const restoring = document.$locals.subRefRestoring || new Set();
+    delete document.$locals.subRefRestoring;
+    restoring.add(getTraceKey(modelName, document));
+
+    for (let { path, schemaType } of subRefPaths) {
+      const subRefModel = getRootRef(schemaType.options.subRef);
+      const pathSubRef = schemaType.options.subRef.substr(subRefModel.length + 1);
+      if (!isRequired(schemaType)) continue;
+
+      const values = getValuesAtPath(document.get(path), '');
+      if (values.length === 0) continue;
+
+      // The sub documents deleted in the meanwhile (e.g. with onDelete noAction) can't be restored
       const boundRefValue = schemaType.options.boundTo
         ? document.get(schemaType.options.boundTo)
         : null;
-
-      await onDeleteConditions(
-        schemaType,
-        modelRef,
-        path,
-        modelName,
+      const missingValues = await getMissingValues(
+        db,
+        subRefModel,
         pathSubRef,
-        getReferencedValues(pathSubRef, document),
-        boundRefValue,
-        softDeleteOptions
+        values,
+        boundRefValue && (boundRefValue._id || boundRefValue),
+        session,
+        getSubRefKey(schemaType)
       );
+      if (missingValues.length > 0)
+        throw new SubRefConstraintError({
+          modelSubRef: subRefModel,
+          pathSubRef,
+          modelRef: modelName,
+          pathRef: path,
+          restoring: true,
+          missingValues,
+        });
+
+      if (!isSoftDeletable(db, subRefModel)) continue;
+
+      const parents = await db
+        .model(subRefModel)
+        .find({
+          [getSubRefValueField(db, subRefModel, pathSubRef, getSubRefKey(schemaType))]: {
+            $in: values,
+          },
+          _deleted: true,
+        })
+        .session(session)
+        .exec();
+
+      for (let parent of parents) {
+        if (restoring.has(getTraceKey(subRefModel, parent))) continue;
+
+        if (!options.restoreParents)
+          throw new SubRefConstraintError({
+            modelSubRef: subRefModel,
+            pathSubRef,
+            modelRef: modelName,
+            pathRef: path,
+            whoIsBlocking: parent._id,
+            restoring: true,
+          });
+
+        // Restore the parent too (and its children on cascade)
+        restoring.add(getTraceKey(subRefModel, parent));
+        parent.$locals.subRefRestoring = restoring;
+        if (session) parent.$session(session);
+        await parent.softDelete(false);
+      }
     }
   }
 
@@ -261,6 +2097,275 @@ function plugin(modelName, schema) {
     await onDelete(this);
   });
 
+  // Before deleting through a query, check if the removing is possible for every matched document
+  schema.pre(deleteOperations, { document: false, query: true }, async function () {
+    // Nothing to check, if the model is not the parent of any relationship
+    if (!refs[modelName].length) return;
+
+    const db = this.model.db;
+    const { sort, session } = this.getOptions();
+    const trace = createCascadeTrace(options);
+
+    // The matched documents are read through a cursor, a batch at a time, for every step
+    const forEachDocumentsBatch = (callback, projection) => {
+      const documentsQuery = this.model.find(this.getFilter(), projection).session(session);
+
+      // Match the same document that the query will delete
+      if (singleDeleteOperations.includes(this.op)) documentsQuery.sort(sort).limit(1);
+
+      return forEachBatch(documentsQuery, trace.batchSize, callback);
+    };
+
+    // Documents deleted by the query can't be deleted again on cascade
+    await forEachDocumentsBatch(
+      async (documents) =>
+        documents.forEach((document) => trace.deleting.add(getTraceKey(modelName, document))),
+      '_id'
+    );
+
+    // Check every matched document before deleting any of them
+    await forEachDocumentsBatch(async (documents) => {
+      for (let document of documents)
+        trace.plans.set(
+          getTraceKey(modelName, document),
+          await planDelete(db, modelName, document, undefined, session, false, trace)
+        );
+    });
+    throwIfBlocked(trace);
+
+    await forEachDocumentsBatch(async (documents) => {
+      for (let document of documents) {
+        document.$locals.subRefCascadeTrace = trace;
+        await onDelete(document);
+      }
+    });
+  });
+
+  //#region Update queries
+
+  /**
+   *  When updating a sub referenced documents collection through a query,
+   *  we must be sure that removed elements will
+   *  not compromise sub references
+   */
+  schema.pre(updateOperations, { document: false, query: true }, async function () {
+    const update = this.getUpdate();
+
+    // Aggregation pipeline updates can't be inspected
+    if (!update || update instanceof Array || !refs[modelName].length) return;
+
+    const db = this.model.db;
+    const { overwrite, session } = this.getOptions();
+    const replacement = replaceOperations.includes(this.op) || !!overwrite;
+    const documentsQuery = findUpdatedDocuments(this);
+
+    const subRefUpdateAfterExec = [];
+    const trace = createCascadeTrace(options);
+
+    for (let document of await documentsQuery.exec())
+      for (let { modelName: modelRef, path, schemaType } of refs[modelName]) {
+        // Remove the model name from the ref
+        const pathSubRef = schemaType.options.subRef.substr(modelName.length + 1);
+        const oldValues = document.get(pathSubRef) || [];
+        // The values set in place by the update, as explicit renames
+        const renames = [];
+        const newValues = getUpdatedValues(
+          pathSubRef,
+          oldValues,
+          update,
+          replacement,
+          this.getFilter(),
+          this.getOptions().arrayFilters,
+          renames
+        );
+        const key = getSubRefKey(schemaType);
+
+        // This update is not touching the sub referenced array
+        if (!newValues) continue;
+
+        // Values changed in place, which the children with onUpdate cascade follow
+        const renamedValues =
+          getOnUpdate(schemaType) === 'cascade'
+            ? getRenamedValues(oldValues, newValues, renames)
+            : [];
+        const deletedValues = getRemovedValues(oldValues, newValues, key).filter(
+          (d) => !renamedValues.some(({ from }) => isSameValue(from, d))
+        );
+        // Sub documents added again, whose children could have been soft deleted with them
+        // (new sub documents without a key yet can't have children)
+        const addedValues = getRemovedValues(newValues, oldValues, key).filter(
+          (d) =>
+            getKeyValue(d, key) !== undefined && !renamedValues.some(({ to }) => isSameValue(to, d))
+        );
+        const restoreOptions =
+          addedValues.length > 0 &&
+          getSubDocsSoftDeleteOptions(db, schemaType, modelRef, options, false);
+
+        if (deletedValues.length === 0 && !restoreOptions && renamedValues.length === 0) continue;
+
+        // Are children bound to the root document ?
+        const boundRefValue = schemaType.options.boundTo ? document._id : null;
+
+        // Same as the validator, blocking references can stop the update before it is executed
+        const plan = [
+          ...(deletedValues.length > 0
+            ? await planDeleteConditions(
+                db,
+                schemaType,
+                modelRef,
+                path,
+                modelName,
+                pathSubRef,
+                // Referenced values
+                deletedValues.map((d) => getKeyValue(d, key)),
+                boundRefValue,
+                getSubDocsSoftDeleteOptions(db, schemaType, modelRef, options, true),
+                session,
+                false,
+                trace
+              )
+            : []),
+          ...(restoreOptions
+            ? await planDeleteConditions(
+                db,
+                schemaType,
+                modelRef,
+                path,
+                modelName,
+                pathSubRef,
+                addedValues.map((d) => getKeyValue(d, key)),
+                boundRefValue,
+                restoreOptions,
+                session,
+                false,
+                createCascadeTrace(options)
+              )
+            : []),
+          ...(renamedValues.length > 0
+            ? [
+                {
+                  type: 'updateCascade',
+                  modelRef,
+                  pathRef: path,
+                  modelSubRef: modelName,
+                  pathSubRef,
+                  referencedValues: renamedValues.map(({ from }) => from),
+                  boundRefValue,
+                  renamedValues,
+                },
+              ]
+            : []),
+        ];
+
+        // The updates on the relationship will run after the update is executed
+        if (plan.length > 0)
+          subRefUpdateAfterExec.push(() => executeDeletePlan(db, plan, session, trace));
+      }
+    throwIfBlocked(trace);
+
+    this.subRefUpdateAfterExec = subRefUpdateAfterExec;
+  });
+
+  // This middleware will be used for update operations after the update query succeeded
+  schema.post(updateOperations, { document: false, query: true }, async function () {
+    const subRefUpdateAfterExec = this.subRefUpdateAfterExec;
+    delete this.subRefUpdateAfterExec;
+
+    if (subRefUpdateAfterExec) await runAll(subRefUpdateAfterExec, this.getOptions().session);
+  });
+
+  // When updating the sub refs of this model through a query, the referenced sub documents must exist
+  schema.pre(updateOperations, { document: false, query: true }, async function () {
+    const update = this.getUpdate();
+
+    // Aggregation pipeline updates can't be inspected
+    if (!update || update instanceof Array || !subRefPaths.length) return;
+
+    const db = this.model.db;
+    const { ValidationError, ValidatorError } = this.model.base.Error;
+    const replacement = replaceOperations.includes(this.op) || !!this.getOptions().overwrite;
+    const error = new ValidationError();
+
+    for (let { path, schemaType } of subRefPaths) {
+      const values = getAssignedValues(path, update, replacement);
+      if (values.length === 0) continue;
+
+      const { boundTo, autoBoundTo } = schemaType.options;
+
+      // Is field boundTo the root document ref ? (only if it is updated too)
+      const boundRefValue = boundTo ? getAssignedValues(boundTo, update, replacement)[0] : null;
+
+      const { missingValues, unboundValues, commonOwners } = await inspectSubRefValues(
+        db,
+        schemaType,
+        values,
+        boundRefValue,
+        this.getOptions().session
+      );
+
+      if (missingValues.length > 0)
+        error.addError(
+          path,
+          new ValidatorError({
+            message: getMissingSubRefMessage(path, schemaType),
+            type: 'subRefExists',
+            path,
+            value: missingValues,
+          })
+        );
+
+      // Fill in the root document ref
+      if (autoBoundTo && !replacement && !boundRefValue && commonOwners.length === 1)
+        this.set(boundTo, commonOwners[0]);
+      else if (unboundValues.length > 0)
+        error.addError(
+          boundTo,
+          new ValidatorError({
+            message: getUnboundSubRefMessage(path, schemaType),
+            type: 'subRefBoundTo',
+            path: boundTo,
+            value: boundRefValue,
+          })
+        );
+      // The root document ref isn't updated, the sub refs must belong to the stored one
+      else if (boundTo && !boundRefValue && !replacement && missingValues.length === 0) {
+        const documents = await findUpdatedDocuments(this, { [boundTo]: 1 })
+          .lean()
+          .exec();
+        const storedRefValues = getValuesAtPath(documents, boundTo).filter(
+          (value, i, values) => values.findIndex((v) => isSameValue(v, value)) === i
+        );
+
+        for (let storedRefValue of storedRefValues) {
+          const { unboundValues } = await inspectSubRefValues(
+            db,
+            schemaType,
+            values,
+            storedRefValue,
+            this.getOptions().session
+          );
+
+          if (unboundValues.length > 0) {
+            error.addError(
+              boundTo,
+              new ValidatorError({
+                message: getUnboundSubRefMessage(path, schemaType),
+                type: 'subRefBoundTo',
+                path: boundTo,
+                value: storedRefValue,
+              })
+            );
+            break;
+          }
+        }
+      }
+    }
+
+    if (Object.keys(error.errors).length > 0) throw error;
+  });
+
+  //#endregion
+
   //#region Validator
 
   // Needed for validator
@@ -276,103 +2381,351 @@ function plugin(modelName, schema) {
     const subRefModel = getRootRef(schemaType.options.subRef);
     const pathSubRef = schemaType.options.subRef.substr(subRefModel.length + 1);
 
-    mongoose
-      .model(subRefModel)
-      .schema.path(pathSubRef)
-      // a sub ref is always directed to an array of subdocuments or primitives
-      .validate({
-        validator: async function (newValues) {
-          const oldValues = this.$locals.old ? this.$locals.old.get(pathSubRef) : [];
-          const deletedValues = oldValues.filter(
-            (o) =>
-              !newValues.some(
-                o._id
-                  ? // Array of subdocuments
-                    (n) => o._id.equals(n._id)
-                  : // Array of primitives
-                    (n) => (o.equals ? o.equals(n) : o === n)
-              )
-          );
+    // The parent model could be registered later, then the validator is set once its schema is known
+    const subRefSchema = getRegisteredSchema(registryDb, subRefModel);
+    if (subRefSchema) setSubRefValidator(subRefSchema);
+    else pending.push({ modelName, path, subRefModel, wire: setSubRefValidator });
 
-          if (deletedValues.length > 0) {
-            try {
-              const remover = async () => {
-                // Is field boundTo the root document ref ?
-                const boundRefValue = schemaType.options.boundTo
-                  ? this.get(schemaType.options.boundTo)
-                  : null;
-
-                await onDeleteConditions(
-                  schemaType,
-                  modelName,
-                  path,
-                  subRefModel,
-                  pathSubRef,
-                  // Referenced values
-                  deletedValues.map((d) => d._id || d),
-                  boundRefValue
-                );
-              };
-
-              // This is the only case in which, this can be used directly (because it can only throw an error to stop the validation)
-              if (
-                schemaType.required &&
-                !(schemaType.cascade || (schemaType.options && schemaType.options.cascade))
+    function setSubRefValidator(subRefSchema) {
+      const subRefSchemaType = subRefSchema.path(pathSubRef);
+      if (!subRefSchemaType)
+        throw new Error(
+          `The sub reference ${modelName} --> ${path} is directed to a missing path: ${schemaType.options.subRef}`
+        );
+      if (
+        getSubRefKey(schemaType) !== '_id' &&
+        !(subRefSchemaType.schema && subRefSchemaType.schema.path(getSubRefKey(schemaType)))
+      )
+        throw new Error(
+          `The sub reference ${modelName} --> ${path} is keyed by a missing path: ${
+            schemaType.options.subRef
+          }.${getSubRefKey(schemaType)}`
+        );
+
+      // a sub ref is always directed to an array of subdocuments or primitives, whose removed values are checked here
+      const validator = async function (newValues) {
+        const oldValues = this.$locals.old ? this.$locals.old.get(pathSubRef) : [];
+        // Values changed in place (or renamed through renameSubRefValue), which the children with onUpdate cascade follow
+        const renamedValues =
+          getOnUpdate(schemaType) === 'cascade'
+            ? getRenamedValues(
+                oldValues,
+                newValues,
+                (this.$locals.subRefRenames || []).filter((r) => r.pathSubRef === pathSubRef)
               )
-                await remover();
-              // Otherwise we will need to run updates, after validation is completed
-              // We can't run updates now, because a successive validator could stop the saving and at the point we need to rollback
-              else
-                this.$locals.subRefUpdateAfterSave = [
-                  ...(this.$locals.subRefUpdateAfterSave || []),
-                  remover,
-                ];
-            } catch (e) {
-              if (e instanceof SubRefConstraintError) {
-                // Rollback to previous values
-                this.set(pathSubRef, oldValues);
-
-                throw new Error(
-                  `Can't delete the sub document of 
-                    ${e.options.modelSubRef} --> ${e.options.pathSubRef}
-                    from which depends 
-                    ${e.options.modelRef} --> ${e.options.pathRef}. 
-                    (Constrained by document: ${e.options.whoIsBlocking})`
-                );
-              }
-
-              throw e;
+            : [];
+        const key = getSubRefKey(schemaType);
+        const deletedValues = getRemovedValues(oldValues, newValues, key).filter(
+          (d) => !renamedValues.some(({ from }) => isSameValue(from, d))
+        );
+        // Sub documents added again, whose children could have been soft deleted with them
+        const addedValues = this.isNew
+          ? []
+          : getRemovedValues(newValues, oldValues, key).filter(
+              (d) => !renamedValues.some(({ to }) => isSameValue(to, d))
+            );
+
+        if (deletedValues.length === 0 && addedValues.length === 0 && renamedValues.length === 0)
+          return true;
+
+        const db = getDocumentDb(this);
+        // Are children bound to the root document ?
+        const boundRefValue = schemaType.options.boundTo ? this._id : null;
+        // The options are the ones of the parent, as for deleting it
+        const subRefOptions = registeredOptions[subRefModel];
+
+        if (deletedValues.length > 0) {
+          const referencedValues = deletedValues.map((d) => getKeyValue(d, key));
+
+          try {
+            // Planning can only throw an error to stop the validation, it doesn't write anything
+            const trace = createCascadeTrace(subRefOptions);
+            const plan = await planDeleteConditions(
+              db,
+              schemaType,
+              modelName,
+              path,
+              subRefModel,
+              pathSubRef,
+              referencedValues,
+              boundRefValue,
+              getSubDocsSoftDeleteOptions(db, schemaType, modelName, subRefOptions, true),
+              this.$session(),
+              false,
+              trace
+            );
+            throwIfBlocked(trace);
+
+            // We will need to run updates, after validation is completed
+            // We can't run updates now, because a successive validator could stop the saving and at the point we need to rollback
+            // The session is read when saving, because it could be opened after the validation
+            if (plan.length > 0)
+              this.$locals.subRefUpdateAfterSave = [
+                ...(this.$locals.subRefUpdateAfterSave || []),
+                () => executeDeletePlan(db, plan, this.$session(), trace),
+              ];
+          } catch (e) {
+            if (e instanceof SubRefConstraintError) {
+              // Rollback to previous values
+              this.set(pathSubRef, oldValues);
+
+              // The removed sub documents which are still referenced, for the validation error of the path
+              e.referencedValues = await getStillReferencedValues(
+                db,
+                modelName,
+                path,
+                referencedValues,
+                boundRefValue,
+                this.$session()
+              );
             }
+
+            // Mongoose wraps it in a SubRefValidatorError (or ValidatorError) of the path
+            throw e;
           }
+        }
+
+        // The children follow the renamed values after saving
+        if (renamedValues.length > 0)
+          this.$locals.subRefUpdateAfterSave = [
+            ...(this.$locals.subRefUpdateAfterSave || []),
+            () =>
+              onUpdateCascade(
+                db,
+                modelName,
+                path,
+                subRefModel,
+                pathSubRef,
+                renamedValues,
+                boundRefValue,
+                this.$session()
+              ),
+          ];
+
+        // Restore the children soft deleted on cascade with the sub documents added again
+        const restoreOptions =
+          addedValues.length > 0 &&
+          getSubDocsSoftDeleteOptions(db, schemaType, modelName, subRefOptions, false);
+
+        if (restoreOptions) {
+          const trace = createCascadeTrace(subRefOptions);
+          const plan = await planDeleteConditions(
+            db,
+            schemaType,
+            modelName,
+            path,
+            subRefModel,
+            pathSubRef,
+            addedValues.map((d) => getKeyValue(d, key)),
+            boundRefValue,
+            restoreOptions,
+            this.$session(),
+            false,
+            trace
+          );
+
+          if (plan.length > 0)
+            this.$locals.subRefUpdateAfterSave = [
+              ...(this.$locals.subRefUpdateAfterSave || []),
+              () => executeDeletePlan(db, plan, this.$session(), trace),
+            ];
+        }
+
+        return true;
+      };
+
+      validators[subRefModel] = validators[subRefModel] || {};
+      validators[subRefModel][pathSubRef] = [
+        ...(validators[subRefModel][pathSubRef] || []),
+        validator,
+      ];
+
+      // A parent model compiled without the plugin has no validator of the removed values yet
+      if (!models.has(subRefModel))
+        setRemovedValuesValidator(registry, subRefModel, pathSubRef, subRefSchemaType);
+    }
+  }
+
+  function getMissingSubRefMessage(path, schemaType) {
+    return `The sub document referenced by ${modelName} --> ${path} doesn't exist in ${schemaType.options.subRef}`;
+  }
+
+  function getUnboundSubRefMessage(path, schemaType) {
+    return `The sub document referenced by ${modelName} --> ${path} doesn't belong to the root document referenced by ${modelName} --> ${schemaType.options.boundTo}`;
+  }
+
+  // Find where the values of a sub ref are, compared to the root document to which they should be bound
+  async function inspectSubRefValues(db, schemaType, values, boundRefValue, session) {
+    const subRefModel = getRootRef(schemaType.options.subRef);
+    const pathSubRef = schemaType.options.subRef.substr(subRefModel.length + 1);
+    const owners = await getOwnersOf(
+      db,
+      subRefModel,
+      pathSubRef,
+      values,
+      session,
+      getSubRefKey(schemaType)
+    );
+    // The root document could be populated
+    const rootId = boundRefValue && (boundRefValue._id || boundRefValue);
+
+    return {
+      missingValues: values.filter((_, i) => owners[i].length === 0),
+      // Values existing only in other root documents
+      unboundValues: rootId
+        ? values.filter(
+            (_, i) => owners[i].length > 0 && !owners[i].some((owner) => owner.equals(rootId))
+          )
+        : [],
+      // Root documents containing every value
+      commonOwners: owners.reduce((common, o) =>
+        common.filter((c) => o.some((owner) => owner.equals(c)))
+      ),
+    };
+  }
+
+  // Before validating, verify the root documents to which the sub refs are bound (and fill them in with autoBoundTo)
+  schema.pre('validate', async function () {
+    for (let { path, schemaType } of subRefPaths) {
+      const { boundTo, autoBoundTo } = schemaType.options;
+      if (!boundTo || !(this.isNew || this.isModified(path) || this.isModified(boundTo))) continue;
+
+      const values = getValuesAtPath(this.get(path), '');
+      if (values.length === 0) continue;
+
+      const { unboundValues, commonOwners } = await inspectSubRefValues(
+        this.db,
+        schemaType,
+        values,
+        this.get(boundTo),
+        this.$session()
+      );
+
+      // Fill in the root document ref, unless it was explicitly set
+      if (
+        autoBoundTo &&
+        commonOwners.length === 1 &&
+        (this.get(boundTo) === null || this.get(boundTo) === undefined || !this.isModified(boundTo))
+      )
+        this.set(boundTo, commonOwners[0]);
+      else if (unboundValues.length > 0)
+        this.invalidate(
+          boundTo,
+          getUnboundSubRefMessage(path, schemaType),
+          this.get(boundTo),
+          'subRefBoundTo'
+        );
+    }
+  });
+
+  /**
+   *  When saving a sub ref,
+   *  we must be sure that the referenced sub document exists
+   */
+  function setExistenceValidator(pathSchemaType, schemaType) {
+    const subRefModel = getRootRef(schemaType.options.subRef);
+    const pathSubRef = schemaType.options.subRef.substr(subRefModel.length + 1);
+
+    pathSchemaType.validate({
+      validator: async function (value) {
+        // Update queries are checked by the query middleware (this is not a document)
+        if (!this || !this.$__) return true;
+
+        // Single sub ref or array of sub refs
+        const values = (value instanceof Array ? value : [value]).filter(
+          (v) => v !== null && v !== undefined
+        );
+        if (values.length === 0) return true;
 
+        // The root document, even if the sub ref is nested in a sub document
+        const document = this.ownerDocument ? this.ownerDocument() : this;
+        const db = document.db;
+
+        // Paths loaded from the database are validated too, but an unchanged sub ref was already checked
+        if (
+          !this.isNew &&
+          !this.isModified(pathSchemaType.path) &&
+          !(schemaType.options.boundTo && document.isModified(schemaType.options.boundTo))
+        )
           return true;
-        },
-        type: 'subRefConstraint',
-      });
+
+        // A soft deleted child keeps the sub refs to the removed sub documents, to be restored with them
+        if (document._deleted === true) return true;
+
+        // Is field boundTo the root document ref ?
+        const boundRefValue = schemaType.options.boundTo
+          ? document.get(schemaType.options.boundTo)
+          : null;
+
+        let missingValues = await getMissingValues(
+          db,
+          subRefModel,
+          pathSubRef,
+          values,
+          boundRefValue,
+          document.$session(),
+          getSubRefKey(schemaType)
+        );
+
+        // Sub documents of another root document are reported on the boundTo path
+        if (missingValues.length > 0 && boundRefValue)
+          missingValues = await getMissingValues(
+            db,
+            subRefModel,
+            pathSubRef,
+            missingValues,
+            null,
+            document.$session(),
+            getSubRefKey(schemaType)
+          );
+
+        return missingValues.length === 0;
+      },
+      message: (props) => getMissingSubRefMessage(props.path, schemaType),
+      type: 'subRefExists',
+    });
   }
 
   // This middleware will be used for update operations after validation of the sub documents
   schema.post('save', async function () {
-    if (this.$locals.subRefUpdateAfterSave)
-      try {
-        this.$locals.subRefUpdatedAfterSave = false;
+    // The explicit renames are saved
+    delete this.$locals.subRefRenames;
+
+    // Nothing to update, subRefsUpdates resolves at once
+    if (!this.$locals.subRefUpdateAfterSave) {
+      this.$locals.subRefUpdatedAfterSave = true;
+      if (this.$locals.subRefUpdateAfterSaveResolver) this.$locals.subRefUpdateAfterSaveResolver();
+      return;
+    }
 
-        await Promise.all(this.$locals.subRefUpdateAfterSave.map((c) => c()));
-        delete this.$locals.subRefUpdateAfterSave;
-        if (this.$locals.subRefUpdateAfterSaveResolver)
-          this.$locals.subRefUpdateAfterSaveResolver();
+    try {
+      this.$locals.subRefUpdatedAfterSave = false;
 
-        this.$locals.subRefUpdatedAfterSave = true;
-      } catch (e) {
-        delete this.$locals.subRefUpdateAfterSave;
-        if (this.$locals.subRefUpdateAfterSaveRejecter)
-          this.$locals.subRefUpdateAfterSaveRejecter(e);
+      await runAll(this.$locals.subRefUpdateAfterSave, this.$session());
+      delete this.$locals.subRefUpdateAfterSave;
+      if (this.$locals.subRefUpdateAfterSaveResolver) this.$locals.subRefUpdateAfterSaveResolver();
 
-        this.$locals.subRefUpdatedAfterSave = true;
-        throw e;
-      }
+      this.$locals.subRefUpdatedAfterSave = true;
+    } catch (e) {
+      delete this.$locals.subRefUpdateAfterSave;
+      if (this.$locals.subRefUpdateAfterSaveRejecter) this.$locals.subRefUpdateAfterSaveRejecter(e);
+
+      this.$locals.subRefUpdatedAfterSave = true;
+      throw e;
+    }
   });
 
+  // Rename a value of an array of primitives, so that the children with onUpdate cascade follow it when saving
+  schema.methods.renameSubRefValue = function (pathSubRef, from, to) {
+    const values = this.get(pathSubRef);
+    const i = values ? values.findIndex((value) => isSameValue(value, from)) : -1;
+    if (i === -1)
+      throw new Error(`The value ${from} doesn't exist in ${modelName} --> ${pathSubRef}`);
+
+    values.set(i, to);
+    this.$locals.subRefRenames = [...(this.$locals.subRefRenames || []), { pathSubRef, from, to }];
+  };
+
   schema.methods.subRefsUpdates = function () {
     return new Promise((resolve, reject) => {
       if (this.$locals.subRefUpdatedAfterSave) resolve();
@@ -394,28 +2747,373 @@ function plugin(modelName, schema) {
 
   //#endregion
 
+  //#region Live sub refs
+
+  // Exclude the children whose sub refs are directed to soft deleted root documents
+  schema.query.withLiveSubRefs = function () {
+    this.subRefLiveOnly = true;
+    return this;
+  };
+
+  schema.pre(liveSubRefsOperations, { document: false, query: true }, async function () {
+    if (!this.subRefLiveOnly) return;
+
+    const { session } = this.getOptions();
+    const conditions = await getLiveSubRefsConditions(
+      this.model.db,
+      modelName,
+      // Casting a copy, the conditions of the query are cast again by mongoose
+      this.cast(this.model, { ...this.getFilter() }),
+      subRefPaths,
+      session
+    );
+    if (conditions.length > 0) this.and(conditions);
+  });
+
+  // Same of withLiveSubRefs, for the aggregation pipelines
+  schema.statics.liveSubRefsStages = function () {
+    return getLiveSubRefsStages(this.db, subRefPaths);
+  };
+
+  //#endregion
+
+  //#region Preview
+
+  // What deleting the document would do on the children, without writing anything
+  schema.methods.previewDelete = async function () {
+    const session = this.$session();
+    const plan = await planDelete(
+      this.db,
+      modelName,
+      this,
+      undefined,
+      session,
+      true,
+      createCascadeTrace(options)
+    );
+
+    return previewDeletePlan(this.db, modelName, this._id, plan, session);
+  };
+
+  // What removing some sub documents (or primitive values) of the path would do, without writing anything
+  schema.methods.previewDeleteSubDocs = async function (pathSubRef, values) {
+    const session = this.$session();
+    const trace = createCascadeTrace(options);
+    let plan = [];
+
+    for (let { modelName: modelRef, path, schemaType } of refs[modelName]) {
+      if (schemaType.options.subRef !== modelName + '.' + pathSubRef) continue;
+
+      plan = [
+        ...plan,
+        ...(await planDeleteConditions(
+          this.db,
+          schemaType,
+          modelRef,
+          path,
+          modelName,
+          pathSubRef,
+          values.map((value) => getKeyValue(value, getSubRefKey(schemaType))),
+          schemaType.options.boundTo ? this._id : null,
+          undefined,
+          session,
+          true,
+          trace
+        )),
+      ];
+    }
+
+    return previewDeletePlan(this.db, modelName, this._id, plan, session);
+  };
+
+  //#endregion
+
+  setTransactionEnd();
+
   schema.plugin((schema) => {
     // If soft deleting is available
     if (schema.statics.preSoftDelete)
       schema.statics.preSoftDelete(async (document) => {
         try {
+          // Restored directly, not by the cascade of a parent
+          if (!document._deleted && !document.$locals.subRefCascadeTrace) await onRestore(document);
+
           await onDelete(document, { softDelete: true, _deleted: document._deleted });
         } catch (e) {
-          // Deleting was blocked
+          // Deleting (or restoring) was blocked
           if (e instanceof SubRefConstraintError)
             // Rollback then
-            document._deleted = false;
+            document._deleted = !document._deleted;
           throw e;
         }
       });
   });
 }
 
+//#region Audit
+
+/**
+ * Scan the children of every registered relationship, looking for sub refs to missing sub documents
+ * (or to sub documents of another root document than the boundTo one).
+ * @param {Object} [options]
+ * @param {String[]} [options.models] names of the child models to scan, all of them by default
+ * @param {Number} [options.batchSize] number of children checked with a single query
+ * @param {Connection|Mongoose} [options.connection] connection of the models, the default mongoose connection by default
+ * @returns {Promise<Object>} the dangling sub refs and the counts per relationship
+ */
+async function auditSubRefs({ models, batchSize = 1000, connection } = {}) {
+  const db = getConnection(connection) || mongoose.connection;
+  const { refs } = getRegistry(db);
+  const report = { relationships: [], orphans: [], checked: 0, dangling: 0 };
+
+  for (let modelSubRef in refs)
+    for (let { modelName: modelRef, path: pathRef, schemaType } of refs[modelSubRef]) {
+      if (models && !models.includes(modelRef)) continue;
+
+      // Remove the model name from the ref
+      const pathSubRef = schemaType.options.subRef.substr(modelSubRef.length + 1);
+      const { boundTo } = schemaType.options;
+      const relationship = { modelSubRef, pathSubRef, modelRef, pathRef, checked: 0, dangling: 0 };
+
+      const cursor = db
+        .model(modelRef)
+        .find(
+          { [pathRef]: { $exists: true } },
+          { [pathRef]: 1, ...(boundTo ? { [boundTo]: 1 } : {}) }
+        )
+        .lean()
+        .batchSize(batchSize)
+        .cursor();
+
+      let batch = [];
+
+      const checkBatch = async () => {
+        const subRefs = batch.reduce(
+          (all, child) => [
+            ...all,
+            ...getValuesWithPaths(child, pathRef).map((subRef) => ({ ...subRef, child })),
+          ],
+          []
+        );
+        batch = [];
+
+        if (subRefs.length === 0) return;
+
+        const owners = await getOwnersOf(
+          db,
+          modelSubRef,
+          pathSubRef,
+          subRefs.map(({ value }) => value),
+          null,
+          getSubRefKey(schemaType)
+        );
+
+        subRefs.forEach(({ child, path, value }, i) => {
+          const boundRefValue = boundTo ? getValueAtPath(child, boundTo) : null;
+          const reason =
+            owners[i].length === 0
+              ? 'missing'
+              : boundRefValue && !owners[i].some((owner) => owner.equals(boundRefValue))
+              ? 'unbound'
+              : null;
+
+          relationship.checked++;
+          if (!reason) return;
+
+          relationship.dangling++;
+          report.orphans.push({
+            modelSubRef,
+            pathSubRef,
+            modelRef,
+            pathRef,
+            _id: child._id,
+            path,
+            value,
+            boundRefValue,
+            reason,
+          });
+        });
+      };
+
+      for (let child = await cursor.next(); child; child = await cursor.next()) {
+        batch.push(child);
+        if (batch.length >= batchSize) await checkBatch();
+      }
+      await checkBatch();
+
+      report.relationships.push(relationship);
+      report.checked += relationship.checked;
+      report.dangling += relationship.dangling;
+    }
+
+  return report;
+}
+
+/**
+ * Fix the dangling sub refs found by auditSubRefs, according to the onDelete policy of each relationship:
+ * children are deleted on cascade, set null (or default) sub refs are unset (or pulled from the array),
+ * while the other ones (and sub refs bound to another root document) are left for a manual review.
+ * @param {Object} [options]
+ * @param {Boolean} [options.dryRun] only return the planned operations, without writing anything
+ * @param {String[]} [options.models] names of the child models to scan, all of them by default
+ * @param {Number} [options.batchSize] number of children checked with a single query
+ * @param {Connection|Mongoose} [options.connection] connection of the models, the default mongoose connection by default
+ * @returns {Promise<Object>} the operations (planned or executed) and the orphans to review
+ */
+async function repairSubRefs({ dryRun = false, models, batchSize, connection } = {}) {
+  const db = getConnection(connection) || mongoose.connection;
+  const { refs } = getRegistry(db);
+  const report = await auditSubRefs({ models, batchSize, connection: db });
+  const operations = [];
+  const review = [];
+
+  for (let orphan of report.orphans) {
+    const { modelSubRef, pathSubRef, modelRef, pathRef, _id, value, reason } = orphan;
+    const { schemaType } = refs[modelSubRef].find(
+      (relationship) => relationship.modelName === modelRef && relationship.path === pathRef
+    );
+
+    const onDelete = getOnDelete(schemaType);
+
+    // The root document exists, only the bound one is wrong (or the policy can't be applied automatically)
+    if (reason !== 'missing' || !['cascade', 'setNull', 'setDefault'].includes(onDelete)) {
+      review.push(orphan);
+      continue;
+    }
+
+    const isSameChild = (operation) => operation.modelRef === modelRef && operation._id.equals(_id);
+
+    if (onDelete === 'cascade') {
+      // Delete the child on cascade (only once)
+      if (!operations.some((operation) => operation.type === 'delete' && isSameChild(operation)))
+        operations.push({ type: 'delete', modelRef, _id });
+      continue;
+    }
+
+    // Unset all the dangling sub refs of the child with a single update
+    const operation = operations.find(
+      (operation) =>
+        operation.type === 'unset' && isSameChild(operation) && operation.pathRef === pathRef
+    );
+
+    if (operation) operation.referencedValues.push(value);
+    else {
+      const defaultValue = onDelete === 'setDefault' ? schemaType.getDefault(null) : null;
+
+      operations.push({
+        type: 'unset',
+        modelRef,
+        pathRef,
+        _id,
+        referencedValues: [value],
+        value: defaultValue === undefined ? null : defaultValue,
+      });
+    }
+  }
+
+  for (let operation of operations)
+    if (operation.type === 'unset')
+      operation.update = getUpdateQueryObjectFor(
+        db,
+        operation.modelRef,
+        operation.pathRef,
+        operation.referencedValues,
+        operation.value
+      );
+
+  if (!dryRun)
+    for (let operation of operations)
+      try {
+        const model = db.model(operation.modelRef);
+
+        if (operation.type === 'unset')
+          await model.updateMany({ _id: operation._id }, ...operation.update).exec();
+        else {
+          // We need to use the deleteOne function to trigger the hooks for checking sub references
+          const document = await model.findById(operation._id).exec();
+          if (document) await document.deleteOne();
+        }
+
+        operation.done = true;
+      } catch (e) {
+        if (!(e instanceof SubRefConstraintError)) throw e;
+
+        // The child can't be deleted because of its own children
+        operation.error = e;
+      }
+
+  return { dryRun, operations, review, report };
+}
+
+//#endregion
+
+// Read only description of the registered relationships, in which the model (if given) is the parent or the child
+function getSubRefRelationships(modelName, connection) {
+  const { refs } = getRegistry(getConnection(connection));
+  const relationships = [];
+
+  for (let modelSubRef in refs)
+    for (let { modelName: modelRef, path: pathRef, schemaType } of refs[modelSubRef]) {
+      if (modelName && modelName !== modelSubRef && modelName !== modelRef) continue;
+
+      relationships.push(
+        Object.freeze({
+          modelSubRef,
+          // Remove the model name from the ref
+          pathSubRef: schemaType.options.subRef.substr(modelSubRef.length + 1),
+          modelRef,
+          pathRef,
+          required: isRequired(schemaType),
+          onDelete: getOnDelete(schemaType),
+          onSoftDelete: getOnSoftDelete(schemaType),
+          onUpdate: getOnUpdate(schemaType),
+          subRefKey: getSubRefKey(schemaType),
+          boundTo: schemaType.options.boundTo || null,
+        })
+      );
+    }
+
+  return Object.freeze(relationships);
+}
+
+// Wire the relationships still waiting for their parent model (compiled without the plugin, if any),
+// throwing an error which lists the sub refs directed to models never registered
+function finalizeSubRefs(connection) {
+  const db = getConnection(connection) || mongoose.connection;
+  const { pending } = getRegistry(db);
+
+  for (let relationship of [...pending]) {
+    const subRefSchema = getRegisteredSchema(db, relationship.subRefModel);
+    if (!subRefSchema) continue;
+
+    pending.splice(pending.indexOf(relationship), 1);
+    relationship.wire(subRefSchema);
+  }
+
+  if (pending.length)
+    throw new Error(
+      `Unresolved sub references: ${pending
+        .map(({ modelName, path, subRefModel }) => `${modelName} --> ${path} (${subRefModel})`)
+        .join(', ')}`
+    );
+}
+
 // Utility
+// The other arguments are passed to mongoose.model (collection name, skipInit), the options of the plugin can follow them
 plugin.consistentModel = function (modelName, schema, ...other) {
-  plugin(modelName, schema);
-  return mongoose.model(modelName, schema, ...other);
+  const last = other[other.length - 1];
+  const options = last && typeof last === 'object' && !(last instanceof Array) ? other.pop() : {};
+
+  plugin(modelName, schema, options);
+  return (options.connection || mongoose).model(modelName, schema, ...other);
 };
 
+plugin.getSubRefRelationships = getSubRefRelationships;
+plugin.finalizeSubRefs = finalizeSubRefs;
+plugin.onSubRefAction = onSubRefAction;
+plugin.onSubRefActionError = onSubRefActionError;
+plugin.auditSubRefs = auditSubRefs;
+plugin.repairSubRefs = repairSubRefs;
 plugin.SubRefConstraintError = SubRefConstraintError;
+plugin.SubRefValidatorError = SubRefValidatorError;
 module.exports = plugin;
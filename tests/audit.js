@@ -0,0 +1,232 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { consistentModel, auditSubRefs, repairSubRefs } = require('..');
+
+mongoose.connect('mongodb://root@localhost:27017/admin', {
+  dbName: 'mongoose-sub-references-integrity-checker',
+  useUnifiedTopology: true,
+});
+
+mongoose.connection.on('error', console.error.bind(console, "Con't connect to MongoDB."));
+
+describe('Sub References - Audit - Scanning for dangling sub references', async function () {
+  const PersonSchema = new mongoose.Schema({
+    name: {
+      type: String,
+    },
+    contacts: [
+      {
+        email: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_A', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    person: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person_A',
+    },
+    recipients: [
+      {
+        contact: {
+          type: mongoose.Schema.Types.ObjectId,
+          subRef: 'Person_A.contacts',
+          boundTo: 'person',
+          required: false,
+        },
+      },
+    ],
+  });
+  const MessageModel = consistentModel('Message_A', MessageSchema);
+
+  let parent, otherParent, removedContact, children;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [{ email: 'test@test.com' }, { email: 'test2@test.com' }],
+    }).save();
+    otherParent = await new PersonModel({ contacts: [{ email: 'test3@test.com' }] }).save();
+    removedContact = parent.contacts[1]._id;
+
+    children = [
+      await new MessageModel({
+        person: parent._id,
+        recipients: [{ contact: parent.contacts[0]._id }],
+      }).save(),
+      await new MessageModel({
+        person: parent._id,
+        recipients: [{ contact: parent.contacts[0]._id }, { contact: removedContact }],
+      }).save(),
+      await new MessageModel({ recipients: [{ contact: removedContact }] }).save(),
+    ];
+
+    // Raw driver writes skip the hooks of the plugin
+    await PersonModel.collection.updateOne(
+      { _id: parent._id },
+      { $pull: { contacts: { _id: removedContact } } }
+    );
+    await MessageModel.collection.updateOne(
+      { _id: children[0]._id },
+      { $set: { person: otherParent._id } }
+    );
+  });
+
+  it('audit ---> should report every dangling sub reference with its path', async function () {
+    const report = await auditSubRefs({ models: ['Message_A'], batchSize: 2 });
+
+    assert.strictEqual(report.dangling, 3);
+    assert(
+      report.orphans.find(
+        (o) =>
+          o._id.equals(children[0]._id) &&
+          o.path === 'recipients.0.contact' &&
+          o.reason === 'unbound'
+      ),
+      'sub ref bound to another root document should be reported'
+    );
+    assert(
+      report.orphans.find(
+        (o) =>
+          o._id.equals(children[1]._id) &&
+          o.path === 'recipients.1.contact' &&
+          o.value.equals(removedContact) &&
+          o.reason === 'missing'
+      ),
+      'missing sub ref nested in an array should be reported with its position'
+    );
+    assert(
+      report.orphans.find(
+        (o) => o._id.equals(children[2]._id) && o.path === 'recipients.0.contact'
+      ),
+      'missing sub ref should be reported'
+    );
+
+    const relationship = report.relationships.find((r) => r.pathRef === 'recipients.contact');
+    assert.strictEqual(relationship.checked, 4);
+    assert.strictEqual(relationship.dangling, 3);
+  });
+});
+
+describe('Sub References - Repair - Fixing dangling sub references', async function () {
+  const ContactsSchema = () =>
+    new mongoose.Schema({
+      contacts: [
+        {
+          email: {
+            type: String,
+          },
+        },
+      ],
+    });
+  const PersonModel = consistentModel('Person_R', ContactsSchema());
+  const CompanyModel = consistentModel('Company_R', ContactsSchema());
+  const GroupModel = consistentModel('Group_R', ContactsSchema());
+
+  // Required and cascade
+  const MessageModel = consistentModel(
+    'Message_R',
+    new mongoose.Schema({
+      contact: {
+        type: mongoose.Schema.Types.ObjectId,
+        subRef: 'Person_R.contacts',
+        required: true,
+        cascade: true,
+      },
+    })
+  );
+  // Not required
+  const NoteModel = consistentModel(
+    'Note_R',
+    new mongoose.Schema({
+      contacts: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          subRef: 'Company_R.contacts',
+          required: false,
+        },
+      ],
+    })
+  );
+  // The sub refs are not required unless overwritten on the schemaType
+  NoteModel.schema.path('contacts').caster.required = false;
+  // Required
+  const TaskModel = consistentModel(
+    'Task_R',
+    new mongoose.Schema({
+      contact: {
+        type: mongoose.Schema.Types.ObjectId,
+        subRef: 'Group_R.contacts',
+        required: true,
+      },
+    })
+  );
+  const models = ['Message_R', 'Note_R', 'Task_R'];
+
+  let message, note, task, removedContact;
+
+  before(async function () {
+    for (let Model of [MessageModel, NoteModel, TaskModel, PersonModel, CompanyModel, GroupModel])
+      await Model.deleteMany({});
+
+    const person = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    const company = await new CompanyModel({
+      contacts: [{ email: 'test@test.com' }, { email: 'test2@test.com' }],
+    }).save();
+    const group = await new GroupModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    removedContact = company.contacts[1]._id;
+
+    message = await new MessageModel({ contact: person.contacts[0]._id }).save();
+    note = await new NoteModel({
+      contacts: [company.contacts[0]._id, removedContact],
+    }).save();
+    task = await new TaskModel({ contact: group.contacts[0]._id }).save();
+
+    // Raw driver writes skip the hooks of the plugin
+    await PersonModel.collection.updateOne({ _id: person._id }, { $set: { contacts: [] } });
+    await CompanyModel.collection.updateOne(
+      { _id: company._id },
+      { $pull: { contacts: { _id: removedContact } } }
+    );
+    await GroupModel.collection.updateOne({ _id: group._id }, { $set: { contacts: [] } });
+  });
+
+  it('dry run ---> should plan the operations without writing', async function () {
+    const { operations, review } = await repairSubRefs({ dryRun: true, models });
+
+    assert(
+      operations.find((o) => o.type === 'delete' && o._id.equals(message._id)),
+      'cascade child should be planned for deletion'
+    );
+    assert(
+      operations.find((o) => o.type === 'unset' && o._id.equals(note._id) && o.update),
+      'not required sub ref should be planned for unsetting'
+    );
+    assert(
+      review.find((o) => o._id.equals(task._id)),
+      'required sub ref should be left for review'
+    );
+
+    assert(await MessageModel.findById(message._id), 'child should exists');
+    assert.strictEqual((await NoteModel.findById(note._id)).contacts.length, 2);
+  });
+
+  it('repair ---> should apply the policy of each relationship', async function () {
+    await repairSubRefs({ models });
+
+    assert(!(await MessageModel.findById(message._id)), "cascade child shouldn't exists");
+
+    note = await NoteModel.findById(note._id);
+    assert.strictEqual(note.contacts.length, 1, 'dangling sub ref should be pulled');
+    assert(!note.contacts[0].equals(removedContact), 'dangling sub ref should be pulled');
+
+    assert(await TaskModel.findById(task._id), 'required child should exists');
+    assert.strictEqual((await auditSubRefs({ models })).dangling, 1);
+  });
+});
@@ -1,6 +1,8 @@
 const assert = require('assert');
 const mongoose = require('mongoose');
-const { consistentModel, SubRefConstraintError } = require('..');
+const subReferencesIntegrityChecker = require('..');
+const { consistentModel, getSubRefRelationships, SubRefConstraintError } =
+  subReferencesIntegrityChecker;
 
 mongoose.connect('mongodb://root@localhost:27017/admin', {
   dbName: 'mongoose-sub-references-integrity-checker',
@@ -44,8 +46,8 @@ describe('Sub References - Simple - Deleting the parent of the relationship', as
   let parent, child;
 
   before(async function () {
-    await PersonModel.deleteMany({});
     await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
 
     parent = await new PersonModel({
       contacts: [
@@ -153,8 +155,8 @@ describe('Sub References - Simple - Deleting subDocument from the parent of the
   let parent, child;
 
   before(async function () {
-    await PersonModel.deleteMany({});
     await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
 
     parent = await new PersonModel({
       contacts: [
@@ -280,8 +282,8 @@ describe('Sub References - Nested - Deleting the parent of the relationship', as
   let parent, child;
 
   before(async function () {
-    await PersonModel.deleteMany({});
     await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
 
     parent = await new PersonModel({
       info: {
@@ -395,8 +397,8 @@ describe('Sub References - Nested - Deleting subDocument from the parent of the
   let parent, child;
 
   before(async function () {
-    await PersonModel.deleteMany({});
     await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
 
     parent = await new PersonModel({
       info: {
@@ -529,8 +531,8 @@ describe('Sub References - BoundTo - Deleting the parent of the relationship', a
   let parent, child;
 
   before(async function () {
-    await PersonModel.deleteMany({});
     await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
 
     parent = await new PersonModel({
       contacts: [
@@ -644,8 +646,8 @@ describe('Sub References - BoundTo - Deleting subDocument from the parent of the
   let parent, child;
 
   before(async function () {
-    await PersonModel.deleteMany({});
     await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
 
     parent = await new PersonModel({
       contacts: [
@@ -734,3 +736,1823 @@ describe('Sub References - BoundTo - Deleting subDocument from the parent of the
     assert(!(await MessageModel.findById(children[2]._id)), "child shouldn't exists");
   });
 });
+
+describe('Sub References - Query - Deleting the parent of the relationship through a query', async function () {
+  const PersonSchema = new mongoose.Schema({
+    name: {
+      type: String,
+    },
+    contacts: [
+      {
+        email: {
+          type: String,
+          required: true,
+        },
+        telephone: {
+          type: String,
+          required: false,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_7', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_7.contacts',
+      required: true,
+    },
+    content: {
+      type: String,
+    },
+  });
+  const MessageModel = consistentModel('Message_7', MessageSchema);
+
+  let parent, child;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [
+        {
+          email: 'test@test.com',
+        },
+        {
+          email: 'test2@test.com',
+        },
+      ],
+    }).save();
+
+    child = await new MessageModel({
+      contact: parent.contacts[0]._id,
+    }).save();
+  });
+
+  it('subRef is required, block deleteMany ---> should throw SubRefConstraintError', async function () {
+    try {
+      await PersonModel.deleteMany({ _id: parent._id });
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+    }
+
+    assert(await PersonModel.findById(parent._id), 'parent should exists');
+    child = await MessageModel.findById(child._id);
+    assert(child, 'child should exists');
+    assert(
+      parent.contacts.find((c) => child.contact.equals(c._id)),
+      'child should have sub ref to parent'
+    );
+  });
+
+  it('subRef is not required, findByIdAndDelete ---> should delete the parent of the relationship, set null his sub reference on the child and return the deleted parent', async function () {
+    MessageSchema.path('contact').required = false;
+
+    const deleted = await PersonModel.findByIdAndDelete(parent._id);
+    assert(deleted && deleted._id.equals(parent._id), 'deleted parent should be returned');
+    assert(!(await PersonModel.findById(parent._id)), "parent shouldn't exists");
+
+    child = await MessageModel.findById(child._id);
+    assert(!child.contact, "child's ref to deleted parent should be null");
+  });
+
+  it('subRef is required, Model.deleteOne cascade ---> should delete the parent of the relationship and his children', async function () {
+    MessageSchema.path('contact').required = true;
+    MessageSchema.path('contact').cascade = true;
+
+    parent = await new PersonModel({
+      contacts: [
+        {
+          email: 'test@test.com',
+        },
+        {
+          email: 'test2@test.com',
+        },
+      ],
+    }).save();
+
+    const children = [
+      await new MessageModel({ contact: parent.contacts[0]._id }).save(),
+      await new MessageModel({ contact: parent.contacts[1]._id }).save(),
+      await new MessageModel({ contact: parent.contacts[0]._id }).save(),
+    ];
+
+    const result = await PersonModel.deleteOne({ _id: parent._id });
+    assert.strictEqual(result.deletedCount, 1, 'one parent should be deleted');
+
+    assert(!(await PersonModel.findById(parent._id)), "parent shouldn't exists");
+    assert(!(await MessageModel.findById(children[0]._id)), "child shouldn't exists");
+    assert(!(await MessageModel.findById(children[1]._id)), "child shouldn't exists");
+    assert(!(await MessageModel.findById(children[2]._id)), "child shouldn't exists");
+  });
+});
+
+describe('Sub References - Query - Removing subDocuments from the parent of the relationship through an update query', async function () {
+  const PersonSchema = new mongoose.Schema({
+    name: {
+      type: String,
+    },
+    contacts: [
+      {
+        email: {
+          type: String,
+          required: true,
+        },
+        telephone: {
+          type: String,
+          required: false,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_8', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_8.contacts',
+      required: true,
+    },
+    content: {
+      type: String,
+    },
+  });
+  const MessageModel = consistentModel('Message_8', MessageSchema);
+
+  let parent, child;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [
+        {
+          email: 'test@test.com',
+        },
+        {
+          email: 'test2@test.com',
+        },
+      ],
+    }).save();
+
+    child = await new MessageModel({
+      contact: parent.contacts[0]._id,
+    }).save();
+  });
+
+  it('subRef is required, block $pull of referenced subdocument ---> should throw SubRefConstraintError', async function () {
+    try {
+      await PersonModel.updateOne(
+        { _id: parent._id },
+        { $pull: { contacts: { _id: parent.contacts[0]._id } } }
+      );
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+    }
+
+    parent = await PersonModel.findById(parent._id);
+    assert.strictEqual(parent.contacts.length, 2, 'parent should have all his contacts');
+
+    child = await MessageModel.findById(child._id);
+    assert(child, 'child should exists');
+    assert(
+      parent.contacts.find((c) => child.contact.equals(c._id)),
+      'child should have sub ref to parent'
+    );
+  });
+
+  it('subRef is required, block $set of referenced subdocument through $ ---> should throw SubRefConstraintError', async function () {
+    try {
+      await PersonModel.updateOne(
+        { _id: parent._id, 'contacts._id': parent.contacts[0]._id },
+        { $set: { 'contacts.$': { email: 'test3@test.com' } } }
+      );
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+    }
+
+    parent = await PersonModel.findById(parent._id);
+    assert(child.contact.equals(parent.contacts[0]._id), 'child should have sub ref to parent');
+  });
+
+  it('subRef is required, block $set of referenced subdocument through $[identifier] ---> should throw SubRefConstraintError', async function () {
+    try {
+      await PersonModel.updateOne(
+        { _id: parent._id },
+        { $set: { 'contacts.$[contact]': { email: 'test3@test.com' } } },
+        { arrayFilters: [{ 'contact._id': parent.contacts[0]._id }] }
+      );
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+    }
+
+    parent = await PersonModel.findById(parent._id);
+    assert(child.contact.equals(parent.contacts[0]._id), 'child should have sub ref to parent');
+  });
+
+  it('subRef is required, $set of a field of the referenced subdocument through $ ---> should update the parent', async function () {
+    await PersonModel.updateOne(
+      { _id: parent._id, 'contacts._id': parent.contacts[0]._id },
+      { $set: { 'contacts.$.telephone': '123' } }
+    );
+
+    parent = await PersonModel.findById(parent._id);
+    assert.strictEqual(parent.contacts[0].telephone, '123');
+  });
+
+  it('subRef is required, updating the non referenced subdocuments ---> should update the parent', async function () {
+    await PersonModel.updateOne(
+      { _id: parent._id },
+      { $pull: { contacts: { _id: parent.contacts[1]._id } } }
+    );
+
+    parent = await PersonModel.findById(parent._id);
+    assert.strictEqual(parent.contacts.length, 1, 'parent should have only one contact');
+  });
+
+  it('subRef is not required, findOneAndUpdate replacing the subdocuments ---> should just set null his sub reference on the child', async function () {
+    MessageSchema.path('contact').required = false;
+
+    await PersonModel.findOneAndUpdate(
+      { _id: parent._id },
+      { contacts: [{ email: 'test3@test.com' }] }
+    );
+
+    child = await MessageModel.findById(child._id);
+    assert(!child.contact, "child's ref to deleted sub document parent should be null");
+  });
+
+  it('subRef is required, updateMany cascade ---> should delete the children of the removed subdocuments', async function () {
+    MessageSchema.path('contact').required = true;
+    MessageSchema.path('contact').cascade = true;
+
+    parent = await new PersonModel({
+      contacts: [
+        {
+          email: 'test@test.com',
+        },
+        {
+          email: 'test2@test.com',
+        },
+      ],
+    }).save();
+
+    const children = [
+      await new MessageModel({ contact: parent.contacts[0]._id }).save(),
+      await new MessageModel({ contact: parent.contacts[1]._id }).save(),
+      await new MessageModel({ contact: parent.contacts[0]._id }).save(),
+    ];
+
+    await PersonModel.updateMany({ _id: parent._id }, { $pop: { contacts: -1 } });
+
+    assert(!(await MessageModel.findById(children[0]._id)), "child shouldn't exists");
+    assert(await MessageModel.findById(children[1]._id), 'child should exists');
+    assert(!(await MessageModel.findById(children[2]._id)), "child shouldn't exists");
+  });
+});
+
+describe('Sub References - Existence - Saving the child of the relationship', async function () {
+  const PersonSchema = new mongoose.Schema({
+    name: {
+      type: String,
+    },
+    contacts: [
+      {
+        email: {
+          type: String,
+          required: true,
+        },
+        telephone: {
+          type: String,
+          required: false,
+        },
+      },
+    ],
+    tags: [String],
+  });
+  const PersonModel = consistentModel('Person_9', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_9.contacts',
+      required: false,
+    },
+    tags: [
+      {
+        type: String,
+        subRef: 'Person_9.tags',
+        required: false,
+      },
+    ],
+    content: {
+      type: String,
+    },
+  });
+  const MessageModel = consistentModel('Message_9', MessageSchema);
+
+  let parent;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [
+        {
+          email: 'test@test.com',
+        },
+      ],
+      tags: ['news', 'sport'],
+    }).save();
+  });
+
+  it('subRef to an existing sub document ---> should save the child', async function () {
+    const child = await new MessageModel({
+      contact: parent.contacts[0]._id,
+      tags: ['news'],
+    }).save();
+
+    assert(await MessageModel.findById(child._id), 'child should exists');
+  });
+
+  it('subRef to a missing sub document ---> should throw ValidationError', async function () {
+    try {
+      await new MessageModel({ contact: new mongoose.Types.ObjectId() }).save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e.constructor.name === 'ValidationError')) throw e;
+      assert.strictEqual(e.errors.contact.kind, 'subRefExists');
+    }
+  });
+
+  it('array of subRefs with a missing value ---> should throw ValidationError', async function () {
+    try {
+      await new MessageModel({ tags: ['news', 'weather'] }).save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e.constructor.name === 'ValidationError')) throw e;
+      assert.strictEqual(e.errors.tags.kind, 'subRefExists');
+    }
+  });
+
+  it('updateOne setting a subRef to a missing sub document ---> should throw ValidationError', async function () {
+    const child = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+
+    try {
+      await MessageModel.updateOne({ _id: child._id }, { contact: new mongoose.Types.ObjectId() });
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e.constructor.name === 'ValidationError')) throw e;
+    }
+
+    assert(
+      (await MessageModel.findById(child._id)).contact.equals(parent.contacts[0]._id),
+      'child should have the same sub ref to parent'
+    );
+  });
+});
+
+describe('Sub References - BoundTo - Verifying the root document of the sub reference', async function () {
+  const PersonSchema = new mongoose.Schema({
+    name: {
+      type: String,
+    },
+    contacts: [
+      {
+        email: {
+          type: String,
+          required: true,
+        },
+        telephone: {
+          type: String,
+          required: false,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_10', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    person: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person_10',
+    },
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_10.contacts',
+      boundTo: 'person',
+      autoBoundTo: true,
+      required: true,
+    },
+    content: {
+      type: String,
+    },
+  });
+  const MessageModel = consistentModel('Message_10', MessageSchema);
+
+  let parent, otherParent;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [
+        {
+          email: 'test@test.com',
+        },
+      ],
+    }).save();
+
+    otherParent = await new PersonModel({
+      contacts: [
+        {
+          email: 'test2@test.com',
+        },
+      ],
+    }).save();
+  });
+
+  it('autoBoundTo without root document ref ---> should fill in the root document ref', async function () {
+    const child = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+    assert(child.person.equals(parent._id), 'child should be bound to parent');
+  });
+
+  it('changing the sub ref ---> should update the root document ref', async function () {
+    let child = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+
+    child.contact = otherParent.contacts[0]._id;
+    await child.save();
+
+    child = await MessageModel.findById(child._id);
+    assert(child.person.equals(otherParent._id), 'child should be bound to the other parent');
+  });
+
+  it('root document ref of another root document ---> should throw ValidationError', async function () {
+    try {
+      await new MessageModel({ person: otherParent._id, contact: parent.contacts[0]._id }).save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e.constructor.name === 'ValidationError')) throw e;
+      assert.strictEqual(e.errors.person.kind, 'subRefBoundTo');
+      assert(!e.errors.contact, 'sub ref should be reported only as not bound');
+    }
+  });
+
+  it('updateOne setting only the sub ref to another root document ---> should throw ValidationError', async function () {
+    const child = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+    MessageSchema.path('contact').options.autoBoundTo = false;
+
+    try {
+      await MessageModel.updateOne({ _id: child._id }, { contact: otherParent.contacts[0]._id });
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e.constructor.name === 'ValidationError')) throw e;
+      assert.strictEqual(e.errors.person.kind, 'subRefBoundTo');
+    } finally {
+      MessageSchema.path('contact').options.autoBoundTo = true;
+    }
+
+    const stored = await MessageModel.findById(child._id);
+    assert(stored.contact.equals(parent.contacts[0]._id), 'child should keep its sub ref');
+  });
+
+  it('subRef is required, block deleteOne of the bound root document ---> should throw SubRefConstraintError', async function () {
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+    }
+
+    assert(await PersonModel.findById(parent._id), 'parent should exists');
+  });
+});
+
+describe('Sub References - Two phases - Checking every restriction before deleting', async function () {
+  const PersonSchema = new mongoose.Schema({
+    name: {
+      type: String,
+    },
+    contacts: [
+      {
+        email: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_11', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_11.contacts',
+      required: true,
+      cascade: true,
+    },
+    attachments: [
+      {
+        name: {
+          type: String,
+        },
+      },
+    ],
+  });
+  const MessageModel = consistentModel('Message_11', MessageSchema);
+
+  const DownloadSchema = new mongoose.Schema({
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Message_11.attachments',
+      required: true,
+    },
+  });
+  const DownloadModel = consistentModel('Download_11', DownloadSchema);
+
+  let parent, message, download;
+
+  before(async function () {
+    await DownloadModel.deleteMany({});
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [
+        {
+          email: 'test@test.com',
+        },
+      ],
+    }).save();
+
+    message = await new MessageModel({
+      contact: parent.contacts[0]._id,
+      attachments: [{ name: 'file.txt' }],
+    }).save();
+    download = await new DownloadModel({ attachment: message.attachments[0]._id }).save();
+  });
+
+  it('cascade child blocked by its own child ---> should throw SubRefConstraintError and delete nothing', async function () {
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+    }
+
+    assert(await PersonModel.findById(parent._id), 'parent should exists');
+    assert(await MessageModel.findById(message._id), 'cascade child should exists');
+  });
+
+  it('cascade child not blocked anymore ---> should delete the parent and his children', async function () {
+    await download.deleteOne();
+    await parent.deleteOne();
+
+    assert(!(await PersonModel.findById(parent._id)), "parent shouldn't exists");
+    assert(!(await MessageModel.findById(message._id)), "cascade child shouldn't exists");
+  });
+});
+
+describe('Sub References - On Delete - Explicit policy for the children', async function () {
+  // A parent model and a child model for every policy
+  function relationship(name, contactOptions) {
+    const PersonModel = consistentModel(
+      `Person_12_${name}`,
+      new mongoose.Schema({
+        contacts: [
+          {
+            email: {
+              type: String,
+            },
+          },
+        ],
+      })
+    );
+    const MessageModel = consistentModel(
+      `Message_12_${name}`,
+      new mongoose.Schema({
+        contact: {
+          type: mongoose.Schema.Types.ObjectId,
+          subRef: `Person_12_${name}.contacts`,
+          ...contactOptions,
+        },
+      })
+    );
+
+    return { PersonModel, MessageModel };
+  }
+
+  let defaultContact;
+  let handled = null;
+
+  const models = {
+    cascade: relationship('cascade', { required: false, onDelete: 'cascade' }),
+    restrict: relationship('restrict', { required: false, onDelete: 'restrict' }),
+    setDefault: relationship('setDefault', {
+      onDelete: 'setDefault',
+      default: () => defaultContact,
+    }),
+    noAction: relationship('noAction', { required: true, onDelete: 'noAction' }),
+    custom: relationship('custom', {
+      onDelete: async (ctx) => {
+        handled = ctx;
+      },
+    }),
+  };
+
+  async function createRelationship({ PersonModel, MessageModel }) {
+    const parent = await new PersonModel({
+      contacts: [{ email: 'test@test.com' }, { email: 'test2@test.com' }],
+    }).save();
+    const child = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+
+    return { parent, child };
+  }
+
+  async function removeContact(parent) {
+    parent.contacts = parent.contacts.filter((_, i) => i !== 0);
+    await parent.save();
+  }
+
+  before(async function () {
+    for (let name in models) {
+      await models[name].MessageModel.deleteMany({});
+      await models[name].PersonModel.deleteMany({});
+    }
+  });
+
+  it('invalid onDelete ---> should throw on registration', async function () {
+    assert.throws(() => relationship('invalid', { onDelete: 'delete' }), /Invalid onDelete/);
+  });
+
+  it('cascade on a not required sub ref ---> should delete the child', async function () {
+    const { MessageModel } = models.cascade;
+    const { parent, child } = await createRelationship(models.cascade);
+
+    await removeContact(parent);
+
+    assert(!(await MessageModel.findById(child._id)), "child shouldn't exists");
+  });
+
+  it('restrict on a not required sub ref ---> should throw SubRefConstraintError', async function () {
+    const { PersonModel, MessageModel } = models.restrict;
+    const { parent, child } = await createRelationship(models.restrict);
+
+    try {
+      await removeContact(parent);
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e.constructor.name === 'ValidationError')) throw e;
+    }
+
+    assert.strictEqual((await PersonModel.findById(parent._id)).contacts.length, 2);
+    assert((await MessageModel.findById(child._id)).contact.equals(parent.contacts[0]._id));
+  });
+
+  it('setDefault ---> should set the sub ref to the default of the path', async function () {
+    const { MessageModel } = models.setDefault;
+    const { parent, child } = await createRelationship(models.setDefault);
+    defaultContact = parent.contacts[1]._id;
+
+    await removeContact(parent);
+
+    assert((await MessageModel.findById(child._id)).contact.equals(defaultContact));
+  });
+
+  it('noAction ---> should leave the child as it is', async function () {
+    const { MessageModel } = models.noAction;
+    const { parent, child } = await createRelationship(models.noAction);
+
+    await removeContact(parent);
+
+    assert((await MessageModel.findById(child._id)).contact.equals(child.contact));
+  });
+
+  it('custom handler ---> should receive the affected children', async function () {
+    const { parent, child } = await createRelationship(models.custom);
+
+    await removeContact(parent);
+
+    assert.strictEqual(handled.modelRef, 'Message_12_custom');
+    assert.strictEqual(handled.documents.length, 1);
+    assert(handled.documents[0]._id.equals(child._id));
+    assert(handled.referencedValues[0].equals(child.contact));
+  });
+});
+
+describe('Sub References - Preview - Describing a deletion without writing anything', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_13', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_13.contacts',
+      required: true,
+      cascade: true,
+    },
+    attachments: [
+      {
+        name: {
+          type: String,
+        },
+      },
+    ],
+  });
+  const MessageModel = consistentModel('Message_13', MessageSchema);
+
+  const DownloadSchema = new mongoose.Schema({
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Message_13.attachments',
+      required: true,
+    },
+  });
+  const DownloadModel = consistentModel('Download_13', DownloadSchema);
+
+  let parent, message, download;
+
+  before(async function () {
+    await DownloadModel.deleteMany({});
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [{ email: 'test@test.com' }, { email: 'test2@test.com' }],
+    }).save();
+
+    message = await new MessageModel({
+      contact: parent.contacts[0]._id,
+      attachments: [{ name: 'file.txt' }],
+    }).save();
+    download = await new DownloadModel({ attachment: message.attachments[0]._id }).save();
+  });
+
+  it('previewDelete ---> should describe the cascade deletes and the blocking children', async function () {
+    const preview = await parent.previewDelete();
+
+    assert.strictEqual(preview.blocked, true);
+    assert(preview._id.equals(parent._id));
+
+    const [cascade] = preview.actions;
+    assert.strictEqual(cascade.type, 'cascade');
+    assert.strictEqual(cascade.modelRef, 'Message_13');
+    assert.strictEqual(cascade.pathRef, 'contact');
+    assert(cascade.ids[0].equals(message._id));
+
+    const [restrict] = cascade.children[0].actions;
+    assert.strictEqual(cascade.children[0].blocked, true);
+    assert.strictEqual(restrict.type, 'restrict');
+    assert.strictEqual(restrict.modelRef, 'Download_13');
+    assert(restrict.ids[0].equals(download._id));
+
+    assert(await PersonModel.findById(parent._id), 'parent should exists');
+    assert(await MessageModel.findById(message._id), 'child should exists');
+  });
+
+  it('previewDeleteSubDocs ---> should describe only the removed sub documents', async function () {
+    const unused = await parent.previewDeleteSubDocs('contacts', [parent.contacts[1]]);
+    assert.strictEqual(unused.blocked, false);
+    assert.strictEqual(unused.actions.length, 0);
+
+    const used = await parent.previewDeleteSubDocs('contacts', [parent.contacts[0]._id]);
+    assert.strictEqual(used.blocked, true);
+    assert.strictEqual(used.actions[0].type, 'cascade');
+  });
+
+  it('blocking child deleted ---> should not be blocked anymore', async function () {
+    await download.deleteOne();
+
+    const preview = await parent.previewDelete();
+
+    assert.strictEqual(preview.blocked, false);
+    assert.strictEqual(preview.actions[0].children[0].actions.length, 0);
+  });
+});
+
+describe('Sub References - Cycles - Deleting on cascade self referencing documents', async function () {
+  const CommentSchema = (modelName) =>
+    new mongoose.Schema({
+      replies: [
+        {
+          text: {
+            type: String,
+          },
+        },
+      ],
+      replyTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        subRef: `${modelName}.replies`,
+        required: false,
+        onDelete: 'cascade',
+      },
+    });
+  const CommentModel = consistentModel('Comment_14', CommentSchema('Comment_14'));
+
+  const ThreadSchema = CommentSchema('Thread_14');
+  subReferencesIntegrityChecker('Thread_14', ThreadSchema, { maxCascadeDepth: 1 });
+  const ThreadModel = mongoose.model('Thread_14', ThreadSchema);
+
+  // Every comment replies to the first reply of the previous one
+  async function createChain(Model, length) {
+    const comments = [];
+
+    for (let i = 0; i < length; i++)
+      comments.push(
+        await new Model({
+          replies: [{ text: 'reply' }],
+          replyTo: i > 0 ? comments[i - 1].replies[0]._id : undefined,
+        }).save()
+      );
+
+    return comments;
+  }
+
+  before(async function () {
+    await CommentModel.deleteMany({});
+    await ThreadModel.deleteMany({});
+  });
+
+  it('cyclic sub refs ---> should delete every document once', async function () {
+    const [first, second] = await createChain(CommentModel, 2);
+
+    // Close the cycle
+    first.replyTo = second.replies[0]._id;
+    await first.save();
+
+    await first.deleteOne();
+
+    assert(!(await CommentModel.findById(first._id)), "first comment shouldn't exists");
+    assert(!(await CommentModel.findById(second._id)), "second comment shouldn't exists");
+  });
+
+  it('cascade deeper than maxCascadeDepth ---> should throw and delete nothing', async function () {
+    const comments = await createChain(ThreadModel, 3);
+
+    try {
+      await comments[0].deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!/max cascade depth/.test(e.message)) throw e;
+    }
+
+    assert.strictEqual(
+      await ThreadModel.countDocuments({ _id: { $in: comments.map((c) => c._id) } }),
+      3
+    );
+  });
+});
+
+describe('Sub References - Batches - Deleting many children on cascade', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  subReferencesIntegrityChecker('Person_15', PersonSchema, {
+    cascadeBatchSize: 2,
+    cascadeConcurrency: 2,
+  });
+  const PersonModel = mongoose.model('Person_15', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_15.contacts',
+      required: true,
+      cascade: true,
+    },
+    attachments: [
+      {
+        name: {
+          type: String,
+        },
+      },
+    ],
+  });
+  const MessageModel = consistentModel('Message_15', MessageSchema);
+
+  // Leaf model, deleted with a single query
+  const DownloadSchema = new mongoose.Schema({
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Message_15.attachments',
+      required: true,
+      cascade: true,
+    },
+  });
+  subReferencesIntegrityChecker('Download_15', DownloadSchema, { cascadeDeleteMany: true });
+  const DownloadModel = mongoose.model('Download_15', DownloadSchema);
+
+  // Leaf model with its own middleware, which must run for every child
+  const NoteSchema = new mongoose.Schema({
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Message_15.attachments',
+      required: true,
+      cascade: true,
+    },
+  });
+  let deletedNotes = 0;
+  NoteSchema.pre('deleteOne', { document: true, query: false }, function () {
+    deletedNotes++;
+  });
+  const NoteModel = consistentModel('Note_15', NoteSchema);
+
+  let parent, messages;
+
+  before(async function () {
+    await NoteModel.deleteMany({});
+    await DownloadModel.deleteMany({});
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+
+    messages = [];
+    for (let i = 0; i < 5; i++) {
+      const message = await new MessageModel({
+        contact: parent.contacts[0]._id,
+        attachments: [{ name: 'file.txt' }],
+      }).save();
+      await new DownloadModel({ attachment: message.attachments[0]._id }).save();
+      await new NoteModel({ attachment: message.attachments[0]._id }).save();
+      messages.push(message);
+    }
+  });
+
+  it('more children than the batch size ---> should delete all of them', async function () {
+    await parent.deleteOne();
+
+    assert.strictEqual(
+      await MessageModel.countDocuments({ _id: { $in: messages.map((m) => m._id) } }),
+      0
+    );
+    assert.strictEqual(await DownloadModel.countDocuments({}), 0);
+    assert.strictEqual(await NoteModel.countDocuments({}), 0);
+    assert.strictEqual(deletedNotes, 5, 'the middleware of every note should run');
+  });
+
+  it('deleteMany of more parents than the batch size ---> should delete all of their children', async function () {
+    const parents = [];
+    for (let i = 0; i < 5; i++) {
+      const parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+      await new MessageModel({ contact: parent.contacts[0]._id }).save();
+      parents.push(parent);
+    }
+
+    await PersonModel.deleteMany({ _id: { $in: parents.map((p) => p._id) } });
+
+    assert.strictEqual(await PersonModel.countDocuments({}), 0);
+    assert.strictEqual(await MessageModel.countDocuments({}), 0);
+  });
+});
+
+describe('Sub References - Registry - Many relationships to the same parent', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_16', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_16.contacts',
+      required: true,
+    },
+  });
+  const MessageModel = consistentModel('Message_16', MessageSchema);
+
+  const NoteSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_16.contacts',
+      required: false,
+    },
+    otherContact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_16.contacts',
+      required: false,
+    },
+  });
+  // The sub refs are not required unless overwritten on the schemaType
+  NoteSchema.path('contact').required = false;
+  NoteSchema.path('otherContact').required = false;
+  const NoteModel = consistentModel('Note_16', NoteSchema);
+
+  let parent, message, note;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await NoteModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    message = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+    note = await new NoteModel({
+      contact: parent.contacts[0]._id,
+      otherContact: parent.contacts[0]._id,
+    }).save();
+  });
+
+  it('getSubRefRelationships ---> should list every relationship of the model', async function () {
+    const relationships = getSubRefRelationships('Person_16');
+
+    assert.deepStrictEqual(
+      relationships.map(({ modelRef, pathRef, onDelete }) => [modelRef, pathRef, onDelete]),
+      [
+        ['Message_16', 'contact', 'restrict'],
+        ['Note_16', 'contact', 'setNull'],
+        ['Note_16', 'otherContact', 'setNull'],
+      ]
+    );
+    assert(Object.isFrozen(relationships) && Object.isFrozen(relationships[0]));
+    assert.strictEqual(getSubRefRelationships('Note_16').length, 2);
+  });
+
+  it('registering the same model twice ---> should throw', async function () {
+    assert.throws(() => subReferencesIntegrityChecker('Note_16', new mongoose.Schema({})));
+    assert.throws(() => subReferencesIntegrityChecker('Note_16_Copy', NoteSchema));
+  });
+
+  it('a relationship blocks the deletion ---> should throw SubRefConstraintError', async function () {
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+    }
+
+    assert(await PersonModel.findById(parent._id), 'parent should exists');
+  });
+
+  it('no relationship blocks the deletion ---> should unset the sub refs of every child', async function () {
+    await message.deleteOne();
+    await parent.deleteOne();
+
+    note = await NoteModel.findById(note._id);
+    assert.strictEqual(note.contact, null);
+    assert.strictEqual(note.otherContact, null);
+  });
+});
+
+describe('Sub References - Connections - The same models on two databases', async function () {
+  const tenants = ['a', 'b'].map((name) =>
+    mongoose.connection.useDb(`mongoose-sub-references-integrity-checker-tenant-${name}`)
+  );
+
+  const models = tenants.map((connection) => {
+    const PersonSchema = new mongoose.Schema({
+      contacts: [
+        {
+          email: {
+            type: String,
+          },
+        },
+      ],
+    });
+    subReferencesIntegrityChecker('Person_17', PersonSchema, { connection });
+    const PersonModel = connection.model('Person_17', PersonSchema);
+
+    const MessageSchema = new mongoose.Schema({
+      contact: {
+        type: mongoose.Schema.Types.ObjectId,
+        subRef: 'Person_17.contacts',
+        required: true,
+        cascade: true,
+      },
+    });
+    subReferencesIntegrityChecker('Message_17', MessageSchema, { connection });
+    const MessageModel = connection.model('Message_17', MessageSchema);
+
+    return { PersonModel, MessageModel };
+  });
+
+  let parents, messages;
+
+  before(async function () {
+    parents = [];
+    messages = [];
+
+    for (let { PersonModel, MessageModel } of models) {
+      await MessageModel.deleteMany({});
+      await PersonModel.deleteMany({});
+
+      const parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+      parents.push(parent);
+      messages.push(await new MessageModel({ contact: parent.contacts[0]._id }).save());
+    }
+  });
+
+  it('getSubRefRelationships ---> should list the relationships of the connection', async function () {
+    for (let connection of tenants)
+      assert.strictEqual(getSubRefRelationships('Person_17', connection).length, 1);
+    assert.strictEqual(getSubRefRelationships('Person_17').length, 0);
+  });
+
+  it('saving a child with a sub ref of the other database ---> should throw', async function () {
+    try {
+      await new models[0].MessageModel({ contact: parents[1].contacts[0]._id }).save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof mongoose.Error.ValidationError)) throw e;
+    }
+  });
+
+  it('deleting the parent of a database ---> should delete only its children', async function () {
+    await parents[0].deleteOne();
+
+    assert(!(await models[0].MessageModel.findById(messages[0]._id)), 'child should not exists');
+    assert(await models[1].MessageModel.findById(messages[1]._id), 'child should exists');
+    assert(await models[1].PersonModel.findById(parents[1]._id), 'parent should exists');
+  });
+});
+
+describe('Sub References - Connections - Registering with and without the default connection', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_23', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_23.contacts',
+      required: true,
+      cascade: true,
+    },
+  });
+  const MessageModel = consistentModel('Message_23', MessageSchema, { connection: mongoose });
+
+  const NoteSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_23.contacts',
+      required: true,
+      cascade: true,
+    },
+  });
+  const NoteModel = consistentModel('Note_23', NoteSchema, { connection: mongoose.connection });
+
+  let parent, message, note;
+
+  before(async function () {
+    await NoteModel.deleteMany({});
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    message = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+    note = await new NoteModel({ contact: parent.contacts[0]._id }).save();
+  });
+
+  it('getSubRefRelationships ---> should list the relationships of both registrations', async function () {
+    assert.strictEqual(getSubRefRelationships('Person_23').length, 2);
+    assert.strictEqual(getSubRefRelationships('Person_23', mongoose).length, 2);
+    assert.strictEqual(getSubRefRelationships('Person_23', mongoose.connection).length, 2);
+  });
+
+  it('saving a child with a wrong sub ref ---> should throw', async function () {
+    try {
+      await new MessageModel({ contact: new mongoose.Types.ObjectId() }).save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof mongoose.Error.ValidationError)) throw e;
+    }
+  });
+
+  it('consistentModel with a collection name ---> should keep the collection name', async function () {
+    const PersonModel = consistentModel(
+      'Person_24',
+      new mongoose.Schema({ contacts: [{ email: String }] }),
+      'custom_people_24'
+    );
+    const MessageModel = consistentModel(
+      'Message_24',
+      new mongoose.Schema({
+        contact: {
+          type: mongoose.Schema.Types.ObjectId,
+          subRef: 'Person_24.contacts',
+          required: true,
+        },
+      }),
+      'custom_messages_24',
+      { connection: mongoose }
+    );
+
+    assert.strictEqual(PersonModel.collection.name, 'custom_people_24');
+    assert.strictEqual(MessageModel.collection.name, 'custom_messages_24');
+    assert.strictEqual(getSubRefRelationships('Person_24').length, 1);
+  });
+
+  it('deleting the parent ---> should delete the children of both registrations', async function () {
+    await parent.deleteOne();
+
+    assert(!(await MessageModel.findById(message._id)), 'message should not exists');
+    assert(!(await NoteModel.findById(note._id)), 'note should not exists');
+  });
+});
+
+describe('Sub References - Registration - Registering the child before the parent', async function () {
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_18.contacts',
+      required: true,
+    },
+  });
+  const MessageModel = consistentModel('Message_18', MessageSchema);
+
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_18', PersonSchema);
+
+  let parent, child;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    child = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+  });
+
+  it('finalizeSubRefs ---> should not throw when every parent is registered', async function () {
+    subReferencesIntegrityChecker.finalizeSubRefs();
+  });
+
+  it('finalizeSubRefs ---> should throw when a parent is never registered', async function () {
+    const connection = mongoose.connection.useDb(
+      'mongoose-sub-references-integrity-checker-unresolved'
+    );
+    subReferencesIntegrityChecker(
+      'Message_18',
+      new mongoose.Schema({
+        contact: {
+          type: mongoose.Schema.Types.ObjectId,
+          subRef: 'Missing_18.contacts',
+        },
+      }),
+      { connection }
+    );
+
+    assert.throws(() => subReferencesIntegrityChecker.finalizeSubRefs(connection), /Missing_18/);
+  });
+
+  it('removing the referenced sub document ---> should throw', async function () {
+    // The removed sub documents are found through the values loaded from the database
+    parent = await PersonModel.findById(parent._id);
+
+    try {
+      parent.contacts = [];
+      await parent.save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof mongoose.Error.ValidationError)) throw e;
+    }
+
+    assert(await MessageModel.findById(child._id), 'child should exists');
+  });
+});
+
+describe('Sub References - Registration - Registering the child after compiling the parent', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  subReferencesIntegrityChecker('Person_25', PersonSchema);
+  // The compiled model has a clone of the registered schema
+  mongoose.set('cloneSchemas', true);
+  const PersonModel = mongoose.model('Person_25', PersonSchema);
+  mongoose.set('cloneSchemas', false);
+
+  const validators = PersonModel.schema.path('contacts').validators.length;
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_25.contacts',
+      required: true,
+    },
+  });
+  const MessageModel = consistentModel('Message_25', MessageSchema);
+
+  let parent;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    await new MessageModel({ contact: parent.contacts[0]._id }).save();
+  });
+
+  it('registering the child ---> should not change the schema of the parent', async function () {
+    assert.notStrictEqual(PersonModel.schema, PersonSchema);
+    assert.strictEqual(PersonModel.schema.path('contacts').validators.length, validators);
+  });
+
+  it('removing a referenced sub document ---> should throw', async function () {
+    parent = await PersonModel.findById(parent._id);
+
+    try {
+      parent.contacts.pull(parent.contacts[0]._id);
+      await parent.save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof mongoose.Error.ValidationError)) throw e;
+      assert.strictEqual(e.errors.contacts.kind, 'subRefConstraint');
+    }
+  });
+});
+
+describe('Sub References - Events - Listening to the actions on the children', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_19', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_19.contacts',
+      required: true,
+      cascade: true,
+    },
+  });
+  const MessageModel = consistentModel('Message_19', MessageSchema);
+
+  const NoteSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_19.contacts',
+      required: false,
+    },
+  });
+  // The sub refs are not required unless overwritten on the schemaType
+  NoteSchema.path('contact').required = false;
+  const NoteModel = consistentModel('Note_19', NoteSchema);
+
+  let parent, message, note, events, removeListener;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await NoteModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [{ email: 'first@test.com' }, { email: 'second@test.com' }],
+    }).save();
+    message = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+    note = await new NoteModel({ contact: parent.contacts[1]._id }).save();
+
+    events = [];
+    removeListener = subReferencesIntegrityChecker.onSubRefAction((event) => events.push(event));
+  });
+
+  after(function () {
+    removeListener();
+  });
+
+  it('removing a sub document ---> should emit the set null of the children', async function () {
+    // The removed sub documents are found through the values loaded from the database
+    parent = await PersonModel.findById(parent._id);
+    parent.contacts.pull(parent.contacts[1]._id);
+    await parent.save();
+    await parent.subRefsUpdates();
+
+    assert.strictEqual(events.length, 1);
+    const [event] = events;
+    assert.strictEqual(event.type, 'setNull');
+    assert.strictEqual(event.modelSubRef, 'Person_19');
+    assert.strictEqual(event.pathSubRef, 'contacts');
+    assert.strictEqual(event.modelRef, 'Note_19');
+    assert.strictEqual(event.pathRef, 'contact');
+    assert.deepStrictEqual(event.ids.map(String), [String(note._id)]);
+    assert.strictEqual(event.softDelete, false);
+    assert(event.duration >= 0);
+  });
+
+  it('deleting the parent ---> should emit the cascade of the children', async function () {
+    events = [];
+    await parent.deleteOne();
+
+    assert.deepStrictEqual(
+      events.map(({ type, modelRef }) => [type, modelRef]),
+      [['cascade', 'Message_19']]
+    );
+    assert.deepStrictEqual(events[0].ids.map(String), [String(message._id)]);
+    assert.deepStrictEqual(events[0].referencedValues.map(String), [
+      String(parent.contacts[0]._id),
+    ]);
+  });
+
+  it('a listener throwing ---> should report the error without stopping the action', async function () {
+    parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    message = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+
+    const errors = [];
+    const removeHandler = subReferencesIntegrityChecker.onSubRefActionError((error, event) =>
+      errors.push({ error, event })
+    );
+    const removeThrowing = subReferencesIntegrityChecker.onSubRefAction(async () => {
+      throw new Error('Async listener');
+    });
+
+    try {
+      await parent.deleteOne();
+      // The rejections of the listeners are handled asynchronously
+      await new Promise((resolve) => setImmediate(resolve));
+    } finally {
+      removeThrowing();
+      removeHandler();
+    }
+
+    assert(!(await MessageModel.findById(message._id)), "cascade child shouldn't exists");
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].error.message, 'Async listener');
+    assert.strictEqual(errors[0].event.type, 'cascade');
+  });
+});
+
+describe('Sub References - Blocking - Reporting every blocking child', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  subReferencesIntegrityChecker('Person_20', PersonSchema, {
+    reportAllBlocking: true,
+    maxBlockingIds: 2,
+  });
+  const PersonModel = mongoose.model('Person_20', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_20.contacts',
+      required: true,
+    },
+  });
+  const MessageModel = consistentModel('Message_20', MessageSchema);
+
+  const NoteSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_20.contacts',
+      onDelete: 'restrict',
+    },
+  });
+  const NoteModel = consistentModel('Note_20', NoteSchema);
+
+  let parent;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await NoteModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    for (let i = 0; i < 3; i++) await new MessageModel({ contact: parent.contacts[0]._id }).save();
+    await new NoteModel({ contact: parent.contacts[0]._id }).save();
+  });
+
+  it('many relationships block the deletion ---> should throw a single SubRefConstraintError with all of them', async function () {
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+
+      assert.strictEqual(e.code, 'SUB_REF_CONSTRAINT');
+      assert(
+        e.message.includes('Message_20 --> contact') && e.message.includes('Note_20 --> contact')
+      );
+      assert.deepStrictEqual(
+        e.options.blocking.map(({ modelRef, count, ids }) => [modelRef, count, ids.length]),
+        [
+          ['Message_20', 3, 2],
+          ['Note_20', 1, 1],
+        ]
+      );
+    }
+
+    assert(await PersonModel.findById(parent._id), 'parent should exists');
+  });
+
+  it('removing a referenced sub document ---> should throw a ValidationError with the constraint on the path', async function () {
+    parent = await PersonModel.findById(parent._id);
+    const contactId = parent.contacts[0]._id;
+
+    try {
+      parent.contacts.pull(contactId);
+      await parent.save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof mongoose.Error.ValidationError)) throw e;
+
+      const error = e.errors.contacts;
+      assert(error instanceof subReferencesIntegrityChecker.SubRefValidatorError);
+      assert.strictEqual(error.kind, 'subRefConstraint');
+      assert.strictEqual(error.code, 'SUB_REF_CONSTRAINT');
+      assert.strictEqual(error.options.blocking[0].modelRef, 'Message_20');
+      assert.deepStrictEqual(error.referencedValues.map(String), [String(contactId)]);
+    }
+
+    assert.strictEqual(parent.contacts.length, 1);
+  });
+
+  it('creating a SubRefConstraintError without options ---> should not throw', async function () {
+    const error = new SubRefConstraintError();
+
+    assert.strictEqual(error.code, 'SUB_REF_CONSTRAINT');
+    assert.strictEqual(error.options, undefined);
+    assert(error.message);
+  });
+});
+
+describe('Sub References - On Update - Renaming the values of an array of primitives', async function () {
+  const PersonSchema = new mongoose.Schema({
+    tags: [String],
+  });
+  const PersonModel = consistentModel('Person_21', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    tag: {
+      type: String,
+      subRef: 'Person_21.tags',
+      required: true,
+      onUpdate: 'cascade',
+    },
+  });
+  const MessageModel = consistentModel('Message_21', MessageSchema);
+
+  const NoteSchema = new mongoose.Schema({
+    tags: [
+      {
+        type: String,
+        subRef: 'Person_21.tags',
+        onUpdate: 'cascade',
+      },
+    ],
+  });
+  const NoteModel = consistentModel('Note_21', NoteSchema);
+
+  let parent, message, note;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await NoteModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({ tags: ['work', 'home', 'gym'] }).save();
+    message = await new MessageModel({ tag: 'work' }).save();
+    note = await new NoteModel({ tags: ['work', 'home'] }).save();
+  });
+
+  it('changing a value in place ---> should rename it in the children', async function () {
+    // The renamed values are found through the values loaded from the database
+    parent = await PersonModel.findById(parent._id);
+    parent.tags.set(0, 'office');
+    await parent.save();
+    await parent.subRefsUpdates();
+
+    message = await MessageModel.findById(message._id);
+    assert.strictEqual(message.tag, 'office');
+    note = await NoteModel.findById(note._id);
+    assert.deepStrictEqual([...note.tags], ['office', 'home']);
+  });
+
+  it('renaming a value explicitly ---> should rename it in the children, even if the array changes', async function () {
+    parent = await PersonModel.findById(parent._id);
+    parent.renameSubRefValue('tags', 'home', 'house');
+    parent.tags.pull('gym');
+    await parent.save();
+    await parent.subRefsUpdates();
+
+    note = await NoteModel.findById(note._id);
+    assert.deepStrictEqual([...note.tags], ['office', 'house']);
+    parent = await PersonModel.findById(parent._id);
+    assert.deepStrictEqual([...parent.tags], ['office', 'house']);
+  });
+
+  it('renaming a missing value ---> should throw', async function () {
+    assert.throws(() => parent.renameSubRefValue('tags', 'gym', 'fitness'));
+  });
+
+  it('updateOne changing a value in place ---> should rename it in the children', async function () {
+    await PersonModel.updateOne({ _id: parent._id }, { $set: { tags: ['desk', 'house'] } });
+
+    message = await MessageModel.findById(message._id);
+    assert.strictEqual(message.tag, 'desk');
+    note = await NoteModel.findById(note._id);
+    assert.deepStrictEqual([...note.tags], ['desk', 'house']);
+  });
+
+  it('deleting a value and adding another one ---> should not rename them', async function () {
+    parent = await PersonModel.findById(parent._id);
+    parent.tags = ['garden', 'pool'];
+    try {
+      await parent.save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof mongoose.Error.ValidationError)) throw e;
+    }
+
+    message = await MessageModel.findById(message._id);
+    assert.strictEqual(message.tag, 'desk');
+    note = await NoteModel.findById(note._id);
+    assert.deepStrictEqual([...note.tags], ['desk', 'house']);
+  });
+
+  it('updateOne changing a value through $ ---> should rename it in the children', async function () {
+    await PersonModel.updateOne({ _id: parent._id, tags: 'house' }, { $set: { 'tags.$': 'home' } });
+
+    parent = await PersonModel.findById(parent._id);
+    assert.deepStrictEqual([...parent.tags], ['desk', 'home']);
+    note = await NoteModel.findById(note._id);
+    assert.deepStrictEqual([...note.tags], ['desk', 'home']);
+  });
+
+  it('updateOne changing many values by index ---> should rename all of them in the children', async function () {
+    await PersonModel.updateOne(
+      { _id: parent._id },
+      { $set: { 'tags.0': 'office', 'tags.1': 'house' } }
+    );
+
+    message = await MessageModel.findById(message._id);
+    assert.strictEqual(message.tag, 'office');
+    note = await NoteModel.findById(note._id);
+    assert.deepStrictEqual([...note.tags], ['office', 'house']);
+  });
+});
+
+describe('Sub References - Sub Ref Key - Matching the sub documents on a custom field', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        code: {
+          type: String,
+        },
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  const PersonModel = consistentModel('Person_22', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: String,
+      subRef: 'Person_22.contacts',
+      subRefKey: 'code',
+      required: true,
+    },
+  });
+  const MessageModel = consistentModel('Message_22', MessageSchema);
+
+  const NoteSchema = new mongoose.Schema({
+    contact: {
+      type: String,
+      subRef: 'Person_22.contacts',
+      subRefKey: 'code',
+      required: false,
+    },
+  });
+  // The sub refs are not required unless overwritten on the schemaType
+  NoteSchema.path('contact').required = false;
+  const NoteModel = consistentModel('Note_22', NoteSchema);
+
+  let parent, message, note;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await NoteModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [
+        { code: 'first', email: 'first@test.com' },
+        { code: 'second', email: 'second@test.com' },
+      ],
+    }).save();
+    message = await new MessageModel({ contact: 'first' }).save();
+    note = await new NoteModel({ contact: 'second' }).save();
+  });
+
+  it('saving a child with a missing key ---> should throw ValidationError', async function () {
+    try {
+      await new MessageModel({ contact: 'missing' }).save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof mongoose.Error.ValidationError)) throw e;
+      assert.strictEqual(e.errors.contact.kind, 'subRefExists');
+    }
+  });
+
+  it('replacing the sub documents with the same keys ---> should keep the children', async function () {
+    // The whole array is sent again, the sub documents get new _ids
+    parent = await PersonModel.findById(parent._id);
+    parent.contacts = [
+      { code: 'first', email: 'first@test.com' },
+      { code: 'second', email: 'second@test.com' },
+    ];
+    await parent.save();
+    // Nothing has been scheduled, it resolves at once
+    await parent.subRefsUpdates();
+
+    note = await NoteModel.findById(note._id);
+    assert.strictEqual(note.contact, 'second');
+    assert(await MessageModel.findById(message._id), 'child should exists');
+  });
+
+  it('removing a referenced key ---> should throw a ValidationError with the constraint on the path', async function () {
+    parent = await PersonModel.findById(parent._id);
+
+    try {
+      parent.contacts = [{ code: 'second', email: 'second@test.com' }];
+      await parent.save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof mongoose.Error.ValidationError)) throw e;
+      assert.deepStrictEqual(e.errors.contacts.referencedValues, ['first']);
+    }
+  });
+
+  it('removing a not required key ---> should set null the sub ref of the child', async function () {
+    parent = await PersonModel.findById(parent._id);
+    parent.contacts = [{ code: 'first', email: 'first@test.com' }];
+    await parent.save();
+    await parent.subRefsUpdates();
+
+    note = await NoteModel.findById(note._id);
+    assert(!note.contact, "child's ref to deleted sub document parent should be null");
+  });
+
+  it('deleting the parent ---> should be blocked by the child', async function () {
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+    }
+
+    assert(await PersonModel.findById(parent._id), 'parent should exists');
+  });
+});
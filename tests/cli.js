@@ -0,0 +1,112 @@
+const assert = require('assert');
+const path = require('path');
+const { execFile } = require('child_process');
+const mongoose = require('mongoose');
+const { PersonModel, MessageModel } = require('./models/cli');
+
+const uri = 'mongodb://root@localhost:27017/admin';
+const dbName = 'mongoose-sub-references-integrity-checker';
+
+mongoose.connect(uri, { dbName, useUnifiedTopology: true });
+
+mongoose.connection.on('error', console.error.bind(console, "Con't connect to MongoDB."));
+
+// Run the command line tool with the given models module and resolve with its exit code and output
+function runSubRefIntegrity(models, ...args) {
+  return new Promise((resolve) =>
+    execFile(
+      process.execPath,
+      [
+        path.join(__dirname, '../bin/subref-integrity.js'),
+        ...args,
+        '--uri',
+        uri,
+        '--db-name',
+        dbName,
+        '--models',
+        models,
+      ],
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr })
+    )
+  );
+}
+
+function subRefIntegrity(...args) {
+  return runSubRefIntegrity(path.join(__dirname, 'models/cli.js'), ...args);
+}
+
+describe('Sub References - CLI - Audit and repair from the command line', async function () {
+  this.timeout(20000);
+
+  let message;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    const person = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    message = await new MessageModel({ contact: person.contacts[0]._id }).save();
+  });
+
+  it('audit ---> should exit with 0 when there are no dangling sub refs', async function () {
+    const { code, stdout } = await subRefIntegrity('audit');
+
+    assert.strictEqual(code, 0, stdout);
+  });
+
+  it('audit ---> should exit with 1 and report the dangling sub refs', async function () {
+    // Raw driver writes skip the hooks of the plugin
+    await PersonModel.collection.updateMany({}, { $set: { contacts: [] } });
+
+    const { code, stdout } = await subRefIntegrity('audit', '--json');
+    const report = JSON.parse(stdout);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(report.dangling, 1);
+    assert.strictEqual(report.orphans[0]._id, message._id.toString());
+  });
+
+  it('repair ---> should fix the dangling sub refs', async function () {
+    assert.strictEqual((await subRefIntegrity('repair', '--dry-run')).code, 1);
+    assert.strictEqual((await MessageModel.findById(message._id)).contact !== null, true);
+
+    assert.strictEqual((await subRefIntegrity('repair')).code, 0);
+    assert.strictEqual((await MessageModel.findById(message._id)).contact, null);
+    assert.strictEqual((await subRefIntegrity('audit')).code, 0);
+  });
+
+  it('usage ---> should exit with 2 on wrong arguments', async function () {
+    assert.strictEqual((await subRefIntegrity('check')).code, 2);
+  });
+});
+
+describe('Sub References - CLI - Models registered on their own connection', async function () {
+  this.timeout(20000);
+
+  const models = path.join(__dirname, 'models/cli-connection.js');
+  const { connection, PersonModel, MessageModel } = require(models);
+
+  before(async function () {
+    await connection.openUri(uri, { dbName, useUnifiedTopology: true });
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    const person = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    await new MessageModel({ contact: person.contacts[0]._id }).save();
+    // Raw driver writes skip the hooks of the plugin
+    await PersonModel.collection.updateMany({}, { $set: { contacts: [] } });
+  });
+
+  after(async function () {
+    await connection.close();
+  });
+
+  it('audit ---> should scan the models of the exported connection', async function () {
+    const { code, stdout } = await runSubRefIntegrity(models, 'audit', '--json');
+    const report = JSON.parse(stdout);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(report.dangling, 1);
+    assert.strictEqual(report.relationships[0].modelRef, 'Message_CLIC');
+  });
+});
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const subReferencesIntegrityChecker = require('../..');
+
+// Models on their own connection, loaded by the command line tool in tests/cli.js
+const connection = mongoose.createConnection();
+
+const PersonSchema = new mongoose.Schema({
+  contacts: [
+    {
+      email: {
+        type: String,
+      },
+    },
+  ],
+});
+subReferencesIntegrityChecker('Person_CLIC', PersonSchema, { connection });
+const PersonModel = connection.model('Person_CLIC', PersonSchema);
+
+const MessageSchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    subRef: 'Person_CLIC.contacts',
+    required: true,
+  },
+});
+subReferencesIntegrityChecker('Message_CLIC', MessageSchema, { connection });
+const MessageModel = connection.model('Message_CLIC', MessageSchema);
+
+module.exports = { connection, PersonModel, MessageModel };
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { consistentModel } = require('../..');
+
+// Models loaded by the command line tool in tests/cli.js
+const PersonModel = consistentModel(
+  'Person_CLI',
+  new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  })
+);
+
+const MessageModel = consistentModel(
+  'Message_CLI',
+  new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_CLI.contacts',
+      required: false,
+    },
+  })
+);
+// The sub refs are not required unless overwritten on the schemaType
+MessageModel.schema.path('contact').required = false;
+
+module.exports = { PersonModel, MessageModel };
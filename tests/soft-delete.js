@@ -1,7 +1,8 @@
 const assert = require('assert');
 const mongoose = require('mongoose');
 const softDeletePlugin = require('mongoose-soft-deleting');
-const { consistentModel, SubRefConstraintError } = require('..');
+const subReferencesIntegrityChecker = require('..');
+const { consistentModel, SubRefConstraintError } = subReferencesIntegrityChecker;
 
 mongoose.connect('mongodb://root@localhost:27017/admin', {
   dbName: 'mongoose-sub-references-integrity-checker',
@@ -47,8 +48,8 @@ describe('Sub References - Simple - Soft deleting the parent of the relationship
   let parent, child;
 
   before(async function () {
-    await PersonModel.deleteMany({});
     await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
 
     parent = await new PersonModel({
       contacts: [
@@ -145,3 +146,417 @@ describe('Sub References - Simple - Soft deleting the parent of the relationship
     assert(!children[2]._deleted, 'child should not be soft deleted');
   });
 });
+
+describe('Sub References - Sub documents - Soft deleting the children of the removed sub documents', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  PersonSchema.plugin(softDeletePlugin);
+  subReferencesIntegrityChecker('Person_SD', PersonSchema, { softDeleteSubDocs: true });
+  const PersonModel = mongoose.model('Person_SD', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_SD.contacts',
+      required: true,
+      cascade: true,
+    },
+  });
+  MessageSchema.plugin(softDeletePlugin);
+  const MessageModel = consistentModel('Message_SD', MessageSchema);
+
+  let parent, children, removedContact;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [{ email: 'test@test.com' }, { email: 'test2@test.com' }],
+    }).save();
+    children = [
+      await new MessageModel({ contact: parent.contacts[0]._id }).save(),
+      await new MessageModel({ contact: parent.contacts[1]._id }).save(),
+    ];
+  });
+
+  it('removing a sub document ---> should soft delete its children on cascade', async function () {
+    parent = await PersonModel.findById(parent._id);
+    removedContact = parent.contacts[0].toObject();
+    parent.contacts.pull(removedContact._id);
+    await parent.save();
+    await parent.subRefsUpdates();
+
+    const child = await MessageModel.findById(children[0]._id);
+    assert(child, 'child should exists');
+    assert(child._deleted, 'child should be soft deleted');
+    assert(
+      !(await MessageModel.findById(children[1]._id))._deleted,
+      'child should not be soft deleted'
+    );
+  });
+
+  it('adding again the sub document ---> should restore its children', async function () {
+    parent = await PersonModel.findById(parent._id);
+    parent.contacts.push(removedContact);
+    await parent.save();
+    await parent.subRefsUpdates();
+
+    const child = await MessageModel.findById(children[0]._id);
+    assert(!child._deleted, 'child should not be soft deleted');
+  });
+});
+
+describe('Sub References - On Soft Delete - Unsetting the sub refs to the soft deleted parent', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  PersonSchema.plugin(softDeletePlugin);
+  const PersonModel = consistentModel('Person_OSD', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_OSD.contacts',
+      required: false,
+      onSoftDelete: 'setNull',
+    },
+    recipients: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        subRef: 'Person_OSD.contacts',
+        onSoftDelete: 'setNull',
+      },
+    ],
+  });
+  // The sub refs are not required unless overwritten on the schemaType
+  MessageSchema.path('contact').required = false;
+  MessageSchema.path('recipients').caster.required = false;
+  MessageSchema.plugin(softDeletePlugin);
+  const MessageModel = consistentModel('Message_OSD', MessageSchema);
+
+  // Declared not required, without overwriting the schemaType
+  const NoteSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_OSD.contacts',
+      required: false,
+      onSoftDelete: 'setNull',
+    },
+  });
+  const NoteModel = consistentModel('Note_OSD', NoteSchema);
+
+  let parent, other, child, note;
+
+  before(async function () {
+    await NoteModel.deleteMany({});
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    other = await new PersonModel({ contacts: [{ email: 'test2@test.com' }] }).save();
+    child = await new MessageModel({
+      contact: parent.contacts[0]._id,
+      recipients: [parent.contacts[0]._id, other.contacts[0]._id],
+    }).save();
+    note = await new NoteModel({ contact: parent.contacts[0]._id }).save();
+  });
+
+  it('soft deleting the parent ---> should unset the sub refs of the children', async function () {
+    await parent.softDelete(true);
+
+    child = await MessageModel.findById(child._id);
+    assert(!child._deleted, 'child should not be soft deleted');
+    assert.strictEqual(child.contact, null);
+    assert.deepStrictEqual(child.recipients.map(String), [String(other.contacts[0]._id)]);
+
+    note = await NoteModel.findById(note._id);
+    assert.strictEqual(note.contact, null);
+  });
+
+  it('restoring the parent ---> should set again the sub refs of the children', async function () {
+    parent = await PersonModel.findById(parent._id);
+    await parent.softDelete(false);
+
+    child = await MessageModel.findById(child._id);
+    assert(child.contact.equals(parent.contacts[0]._id), 'child should have the sub ref again');
+    assert.deepStrictEqual(
+      child.recipients.map(String).sort(),
+      [String(parent.contacts[0]._id), String(other.contacts[0]._id)].sort()
+    );
+    assert.strictEqual(child._softDeletedSubRefs.length, 0);
+
+    note = await NoteModel.findById(note._id);
+    assert(note.contact.equals(parent.contacts[0]._id), 'note should have the sub ref again');
+  });
+
+  it('hard deleting the soft deleted parent ---> should drop the recorded sub refs', async function () {
+    parent = await PersonModel.findById(parent._id);
+    await parent.softDelete(true);
+    child = await MessageModel.findById(child._id);
+    assert.strictEqual(child._softDeletedSubRefs.length, 2);
+
+    // Soft deleting an already soft deleted document removes it
+    parent = await PersonModel.findById(parent._id);
+    await parent.softDelete(true);
+
+    child = await MessageModel.findById(child._id);
+    assert.strictEqual(child.contact, null);
+    assert.deepStrictEqual(child.recipients.map(String), [String(other.contacts[0]._id)]);
+    assert.strictEqual(child._softDeletedSubRefs.length, 0);
+  });
+
+  it('onSoftDelete setNull on a required sub ref ---> should throw on registration', async function () {
+    assert.throws(
+      () =>
+        subReferencesIntegrityChecker(
+          'Message_OSD_required',
+          new mongoose.Schema({
+            contact: {
+              type: mongoose.Schema.Types.ObjectId,
+              subRef: 'Person_OSD.contacts',
+              required: true,
+              onSoftDelete: 'setNull',
+            },
+          })
+        ),
+      /Invalid onSoftDelete/
+    );
+  });
+});
+
+describe('Sub References - Restore - Restoring a child of a soft deleted parent', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  PersonSchema.plugin(softDeletePlugin);
+  const PersonModel = consistentModel('Person_RS', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_RS.contacts',
+      required: true,
+      cascade: true,
+    },
+  });
+  MessageSchema.plugin(softDeletePlugin);
+  const MessageModel = consistentModel('Message_RS', MessageSchema);
+
+  const NoteSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_RS.contacts',
+      required: true,
+      cascade: true,
+    },
+  });
+  NoteSchema.plugin(softDeletePlugin);
+  subReferencesIntegrityChecker('Note_RS', NoteSchema, { restoreParents: true });
+  const NoteModel = mongoose.model('Note_RS', NoteSchema);
+
+  // Left as it is when the parent is deleted
+  const TaskSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_RS.contacts',
+      required: true,
+      onDelete: 'noAction',
+    },
+  });
+  TaskSchema.plugin(softDeletePlugin);
+  const TaskModel = consistentModel('Task_RS', TaskSchema);
+
+  let parent, message, note;
+
+  before(async function () {
+    await TaskModel.deleteMany({});
+    await MessageModel.deleteMany({});
+    await NoteModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    message = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+    note = await new NoteModel({ contact: parent.contacts[0]._id }).save();
+
+    await parent.softDelete(true);
+  });
+
+  it('restoring the child ---> should throw SubRefConstraintError', async function () {
+    message = await MessageModel.findById(message._id);
+    assert(message._deleted, 'child should be soft deleted');
+
+    try {
+      await message.softDelete(false);
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+    }
+
+    assert((await MessageModel.findById(message._id))._deleted, 'child should be soft deleted');
+  });
+
+  it('restoring the child with restoreParents ---> should restore the parent and its children', async function () {
+    note = await NoteModel.findById(note._id);
+    await note.softDelete(false);
+
+    assert(!(await NoteModel.findById(note._id))._deleted, 'child should not be soft deleted');
+    assert(!(await PersonModel.findById(parent._id))._deleted, 'parent should not be soft deleted');
+    assert(
+      !(await MessageModel.findById(message._id))._deleted,
+      'child should not be soft deleted'
+    );
+  });
+
+  it('restoring the child of a deleted parent ---> should throw SubRefConstraintError', async function () {
+    const other = await new PersonModel({ contacts: [{ email: 'test2@test.com' }] }).save();
+    let task = await new TaskModel({ contact: other.contacts[0]._id }).save();
+    await task.softDelete(true);
+    await other.deleteOne();
+
+    task = await TaskModel.findById(task._id);
+    try {
+      await task.softDelete(false);
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SubRefConstraintError)) throw e;
+      assert.deepStrictEqual(e.options.missingValues.map(String), [String(other.contacts[0]._id)]);
+    }
+
+    assert((await TaskModel.findById(task._id))._deleted, 'child should be soft deleted');
+  });
+});
+
+describe('Sub References - Live sub refs - Hiding the children of soft deleted parents', async function () {
+  const PersonSchema = new mongoose.Schema({
+    contacts: [
+      {
+        email: {
+          type: String,
+        },
+      },
+    ],
+  });
+  PersonSchema.plugin(softDeletePlugin);
+  const PersonModel = consistentModel('Person_LV', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_LV.contacts',
+      required: false,
+    },
+  });
+  // The sub refs are not required unless overwritten on the schemaType
+  MessageSchema.path('contact').required = false;
+  const MessageModel = consistentModel('Message_LV', MessageSchema);
+
+  const NoteSchema = new mongoose.Schema({
+    person: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_LV.contacts',
+      required: false,
+      boundTo: 'person',
+    },
+  });
+  NoteSchema.path('contact').required = false;
+  const NoteModel = consistentModel('Note_LV', NoteSchema);
+
+  let deletedParent, messages, notes;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await NoteModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    deletedParent = await new PersonModel({ contacts: [{ email: 'test@test.com' }] }).save();
+    const parent = await new PersonModel({ contacts: [{ email: 'test2@test.com' }] }).save();
+
+    messages = [
+      await new MessageModel({ contact: deletedParent.contacts[0]._id }).save(),
+      await new MessageModel({ contact: parent.contacts[0]._id }).save(),
+      await new MessageModel({}).save(),
+    ];
+    notes = [
+      await new NoteModel({
+        person: deletedParent._id,
+        contact: deletedParent.contacts[0]._id,
+      }).save(),
+      await new NoteModel({ person: parent._id, contact: parent.contacts[0]._id }).save(),
+      // Not bound, checked through the sub ref
+      await new NoteModel({ contact: deletedParent.contacts[0]._id }).save(),
+      await new NoteModel({ contact: parent.contacts[0]._id }).save(),
+    ];
+
+    await deletedParent.softDelete(true);
+  });
+
+  it('withLiveSubRefs ---> should exclude the children of the soft deleted parent', async function () {
+    assert.strictEqual((await MessageModel.find()).length, 3);
+
+    const found = await MessageModel.find().withLiveSubRefs();
+    assert.deepStrictEqual(
+      found.map((message) => String(message._id)).sort(),
+      [String(messages[1]._id), String(messages[2]._id)].sort()
+    );
+    assert.strictEqual(await MessageModel.countDocuments().withLiveSubRefs(), 2);
+  });
+
+  it('withLiveSubRefs with boundTo ---> should exclude the children bound to the soft deleted parent', async function () {
+    const found = await NoteModel.find().withLiveSubRefs();
+    assert.deepStrictEqual(
+      found.map((note) => String(note._id)).sort(),
+      [String(notes[1]._id), String(notes[3]._id)].sort()
+    );
+    assert.strictEqual(
+      await NoteModel.countDocuments({
+        _id: { $in: [notes[0]._id, notes[2]._id] },
+      }).withLiveSubRefs(),
+      0
+    );
+  });
+
+  it('liveSubRefsStages ---> should exclude the children of the soft deleted parent', async function () {
+    const found = await MessageModel.aggregate([
+      ...MessageModel.liveSubRefsStages(),
+      { $sort: { _id: 1 } },
+    ]);
+    assert.deepStrictEqual(
+      found.map((message) => String(message._id)),
+      [String(messages[1]._id), String(messages[2]._id)].sort()
+    );
+  });
+
+  it('liveSubRefsStages with boundTo ---> should exclude the children bound or directed to the soft deleted parent', async function () {
+    const found = await NoteModel.aggregate([
+      ...NoteModel.liveSubRefsStages(),
+      { $sort: { _id: 1 } },
+    ]);
+    assert.deepStrictEqual(
+      found.map((note) => String(note._id)),
+      [String(notes[1]._id), String(notes[3]._id)].sort()
+    );
+  });
+});
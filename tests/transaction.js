@@ -0,0 +1,162 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const subReferencesIntegrityChecker = require('..');
+
+// Transactions need a replica set (a single node replica set is enough)
+mongoose.connect('mongodb://root@localhost:27017/admin?replicaSet=rs0', {
+  dbName: 'mongoose-sub-references-integrity-checker',
+  useUnifiedTopology: true,
+});
+
+mongoose.connection.on('error', console.error.bind(console, "Con't connect to MongoDB."));
+
+describe('Sub References - Transaction - Deleting the parent of the relationship', async function () {
+  const PersonSchema = new mongoose.Schema({
+    name: {
+      type: String,
+    },
+    contacts: [
+      {
+        email: {
+          type: String,
+          required: true,
+        },
+        telephone: {
+          type: String,
+          required: false,
+        },
+      },
+    ],
+  });
+  // Simulate a concurrent write on the parent, between its validation and its saving
+  let concurrentWrite = false;
+  PersonSchema.pre('save', async function () {
+    if (!concurrentWrite) return;
+
+    concurrentWrite = false;
+    await this.constructor.collection.updateOne(
+      { _id: this._id },
+      { $set: { name: 'concurrent' } }
+    );
+  });
+  subReferencesIntegrityChecker('Person_T', PersonSchema, { transaction: true });
+  const PersonModel = mongoose.model('Person_T', PersonSchema);
+
+  const MessageSchema = new mongoose.Schema({
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      subRef: 'Person_T.contacts',
+      required: true,
+      cascade: true,
+    },
+    content: {
+      type: String,
+    },
+  });
+  // Simulate a failure while deleting on cascade
+  MessageSchema.pre('deleteOne', { document: true, query: false }, function () {
+    if (this.content === 'fail') throw new Error('Failed deleting');
+  });
+  subReferencesIntegrityChecker('Message_T', MessageSchema, { transaction: true });
+  const MessageModel = mongoose.model('Message_T', MessageSchema);
+
+  let parent, children;
+
+  before(async function () {
+    await MessageModel.deleteMany({});
+    await PersonModel.deleteMany({});
+
+    parent = await new PersonModel({
+      contacts: [
+        {
+          email: 'test@test.com',
+        },
+        {
+          email: 'test2@test.com',
+        },
+      ],
+    }).save();
+
+    children = [
+      await new MessageModel({ contact: parent.contacts[0]._id }).save(),
+      await new MessageModel({ contact: parent.contacts[1]._id, content: 'fail' }).save(),
+    ];
+  });
+
+  it('cascade fails midway ---> should rollback the parent and his children', async function () {
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (e.message !== 'Failed deleting') throw e;
+    }
+
+    assert(await PersonModel.findById(parent._id), 'parent should exists');
+    assert(await MessageModel.findById(children[0]._id), 'child should exists');
+    assert(await MessageModel.findById(children[1]._id), 'child should exists');
+    assert(!parent.$session(), 'parent should not keep the session of the transaction');
+  });
+
+  it('cascade succeeds ---> should commit the deletion of the parent and his children', async function () {
+    await children[1].updateOne({ content: 'ok' });
+
+    parent = await PersonModel.findById(parent._id);
+    await parent.deleteOne();
+
+    assert(!(await PersonModel.findById(parent._id)), "parent shouldn't exists");
+    assert(!(await MessageModel.findById(children[0]._id)), "child shouldn't exists");
+    assert(!(await MessageModel.findById(children[1]._id)), "child shouldn't exists");
+  });
+
+  it('removing a sub document with a session ---> should run the cascade in the same session', async function () {
+    parent = await new PersonModel({
+      contacts: [
+        {
+          email: 'test@test.com',
+        },
+      ],
+    }).save();
+    const child = await new MessageModel({ contact: parent.contacts[0]._id }).save();
+
+    const session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      parent = await PersonModel.findById(parent._id).session(session);
+      parent.contacts.shift();
+      await parent.save();
+      await parent.subRefsUpdates();
+
+      assert(
+        !(await MessageModel.findById(child._id).session(session)),
+        "child shouldn't exists in the transaction"
+      );
+      assert(await MessageModel.findById(child._id), 'child should exists outside the transaction');
+    });
+    session.endSession();
+
+    assert(!(await MessageModel.findById(child._id)), "child shouldn't exists");
+  });
+
+  it('concurrent write between validation and saving ---> should abort the transaction of the checks', async function () {
+    parent = await new PersonModel({
+      contacts: [{ email: 'test@test.com' }, { email: 'test2@test.com' }],
+    }).save();
+    await new MessageModel({ contact: parent.contacts[0]._id }).save();
+
+    // The validator reads the children in the transaction, which conflicts with the concurrent write
+    parent = await PersonModel.findById(parent._id);
+    parent.contacts.pull(parent.contacts[1]._id);
+    concurrentWrite = true;
+
+    try {
+      await parent.save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!e.hasErrorLabel || !e.hasErrorLabel('TransientTransactionError')) throw e;
+    }
+
+    const stored = await PersonModel.findById(parent._id);
+    assert.strictEqual(stored.name, 'concurrent');
+    assert.strictEqual(stored.contacts.length, 2, 'parent should keep his contacts');
+    assert(!parent.$session(), 'parent should not keep the session of the transaction');
+  });
+});